@@ -1,5 +1,8 @@
 /**
- * AdditionalCharge model - Represents an additional charge applied to a rate item
+ * AdditionalCharge model - Represents an additional charge applied to a rate item.
+ * A charge is a flat amount, a percentage of the base charge, or - when it has a
+ * quantityParameter - a unit rate times a trip quantity (e.g. detention hours, extra stops),
+ * after a free allowance, optionally priced in tiers and held between a minimum and maximum.
  */
 class AdditionalCharge {
   constructor({
@@ -9,7 +12,12 @@ class AdditionalCharge {
     type,
     value,
     isPercentage = false,
-    conditions = []
+    conditions = [],
+    quantityParameter = null,
+    freeQuantity = 0,
+    tiers = [],
+    minAmount = null,
+    maxAmount = null
   }) {
     this.id = id || generateUUID();
     this.rateItemId = rateItemId;
@@ -18,30 +26,132 @@ class AdditionalCharge {
     this.value = parseFloat(value);
     this.isPercentage = isPercentage;
     this.conditions = conditions;
+    this.quantityParameter = quantityParameter || null;
+    this.freeQuantity = parseFloat(freeQuantity) || 0;
+    this.tiers = tiers;
+    this.minAmount = minAmount === null || minAmount === undefined ? null : parseFloat(minAmount);
+    this.maxAmount = maxAmount === null || maxAmount === undefined ? null : parseFloat(maxAmount);
+  }
+
+  /**
+   * Check if this charge is priced per unit of a trip quantity
+   * @returns {boolean} True if the charge has a quantityParameter
+   */
+  isQuantityBased() {
+    return this.quantityParameter !== null;
   }
 
   /**
    * Calculate the charge amount
-   * @param {number} baseAmount - The base amount to calculate from
+   * @param {Money} baseAmount - The base amount to calculate from
+   * @param {TripData} tripData - Trip data for conditional logic
+   * @param {RatingContext} context - Shared reference data
+   * @returns {Money} The calculated charge amount
+   */
+  calculate(baseAmount, tripData, context = {}) {
+    return this.calculateDetail(baseAmount, tripData, context).amount;
+  }
+
+  /**
+   * Calculate the charge amount, with the quantity it was priced on
+   * @param {Money} baseAmount - The base amount to calculate from
    * @param {TripData} tripData - Trip data for conditional logic
-   * @returns {number} The calculated charge amount
+   * @param {RatingContext} context - Shared reference data
+   * @returns {{amount: Money, quantity: ChargeQuantity|null}} The amount, and for a quantity-based
+   *   charge whose conditions are met, {parameter, quantity, freeQuantity, billableQuantity}
    */
-  calculate(baseAmount, tripData) {
+  calculateDetail(baseAmount, tripData, context = {}) {
     // Check if all conditions are met
-    const allConditionsMet = this.conditions.every(condition => 
-      condition.evaluate(tripData)
+    const allConditionsMet = this.conditions.every(condition =>
+      condition.evaluate(tripData, context)
     );
     
     if (!allConditionsMet) {
-      return 0; // Don't apply charge if conditions aren't met
+      return { amount: Money.zero(), quantity: null }; // Don't apply charge if conditions aren't met
+    }
+    
+    if (this.isQuantityBased()) {
+      return this.calculateQuantityCharge(tripData);
+    }
+    
+    // On a multi-stop trip, a multiple delivery charge is billed per extra stop
+    if (this.type === ChargeType.MULTIPLE_DELIVERY && !this.isPercentage && tripData.extraStops !== undefined) {
+      return this.calculateQuantityCharge(tripData, 'extraStops');
     }
     
     if (this.isPercentage) {
-      return (baseAmount * this.value) / 100;
+      return { amount: Money.of(baseAmount).percentage(this.value), quantity: null };
     } else {
-      return this.value;
+      return { amount: Money.of(this.value), quantity: null };
     }
   }
+
+  /**
+   * Price the trip quantity beyond the free allowance, at the unit rate (value) or across
+   * the tiers. Tiers are priced incrementally on the billable quantity, like incremental slabs.
+   * The minimum only applies once some quantity is billable; a missing trip quantity counts as zero.
+   * @param {TripData} tripData - Data about the trip
+   * @param {string} quantityParameter - Trip field holding the quantity (defaults to this charge's)
+   * @returns {{amount: Money, quantity: ChargeQuantity}} The amount and the quantity used
+   */
+  calculateQuantityCharge(tripData, quantityParameter = this.quantityParameter) {
+    const quantity = parseFloat(resolvePath(tripData, quantityParameter)) || 0;
+    const billableQuantity = Math.max(0, quantity - this.freeQuantity);
+    
+    let amount = Money.zero();
+    if (this.tiers.length > 0) {
+      const tiers = [...this.tiers].sort((a, b) => a.minValue - b.minValue);
+      for (const tier of tiers) {
+        const portion = tier.portionOf(billableQuantity);
+        if (portion > 0) {
+          amount = amount.add(tier.calculate(portion));
+        }
+      }
+    } else {
+      amount = Money.of(this.value).multiply(billableQuantity);
+    }
+    
+    // Apply floor and cap
+    if (this.minAmount !== null && billableQuantity > 0) {
+      amount = Money.max(amount, this.minAmount);
+    }
+    if (this.maxAmount !== null) {
+      amount = Money.min(amount, this.maxAmount);
+    }
+    
+    return {
+      amount,
+      quantity: {
+        parameter: quantityParameter,
+        quantity,
+        freeQuantity: this.freeQuantity,
+        billableQuantity
+      }
+    };
+  }
+
+  /**
+   * Describe this charge's pricing
+   * @returns {string} e.g. "Loading 500.00", "Levy 2%" or "Detention 400.00 per waitingHours, 4 free, max 5000.00"
+   */
+  describe() {
+    if (!this.isQuantityBased()) {
+      return `${this.name} ${this.isPercentage ? `${this.value}%` : Money.of(this.value).toFixed(2)}`;
+    }
+    
+    const rate = this.tiers.length > 0
+      ? this.tiers
+        .map(tier => `${tier.minValue}-${tier.maxValue === null ? '' : tier.maxValue}:${Money.of(tier.rate).toFixed(2)}${tier.isFlat ? ':FLAT' : ''}`)
+        .join('|')
+      : Money.of(this.value).toFixed(2);
+    const limits = [
+      this.freeQuantity > 0 ? `${this.freeQuantity} free` : null,
+      this.minAmount !== null ? `min ${Money.of(this.minAmount).toFixed(2)}` : null,
+      this.maxAmount !== null ? `max ${Money.of(this.maxAmount).toFixed(2)}` : null
+    ].filter(Boolean);
+    
+    return `${this.name} ${rate} per ${this.quantityParameter}${limits.length > 0 ? `, ${limits.join(', ')}` : ''}`;
+  }
 }
 
 module.exports = AdditionalCharge;
\ No newline at end of file
@@ -5,75 +5,238 @@ class ChargeCalculation {
   constructor({
     baseCharge,
     additionalCharges = new Map(),
+    additionalChargeTypes = new Map(),
+    additionalChargeQuantities = new Map(),
+    chargeableQuantity = null,
     fuelAdjustment = 0,
     discounts = new Map(),
-    surcharges = new Map()
+    surcharges = new Map(),
+    roundingPolicy = new RoundingPolicy(),
+    currency = 'INR'
   }) {
-    this.baseCharge = baseCharge;
-    this.additionalCharges = additionalCharges;
-    this.fuelAdjustment = fuelAdjustment;
-    this.discounts = discounts;
-    this.surcharges = surcharges;
+    this.roundingPolicy = roundingPolicy;
+    this.currency = currency;
+    this.conversion = null;
+    this.route = null;
+    
+    // Round each line up front when rounding per line; otherwise keep exact amounts until the total
+    const toLine = amount => roundingPolicy.roundsPerLine() ? roundingPolicy.round(amount) : Money.of(amount);
+    const toLines = lines => new Map([...lines].map(([name, amount]) => [name, toLine(amount)]));
+    
+    this.baseCharge = toLine(baseCharge);
+    this.additionalCharges = toLines(additionalCharges);
+    this.additionalChargeTypes = additionalChargeTypes;
+    this.additionalChargeQuantities = additionalChargeQuantities;
+    this.chargeableQuantity = chargeableQuantity;
+    this.fuelAdjustment = toLine(fuelAdjustment);
+    this.discounts = toLines(discounts);
+    this.surcharges = toLines(surcharges);
     
     // Calculate total charge
     this.totalCharge = this.calculateTotalCharge();
+    this.tax = null;
+  }
+
+  /**
+   * Combine the calculations of several lanes (e.g. the legs of a multi-stop trip) into one,
+   * adding up each component; additional charges, discounts and surcharges are added up by name
+   * @param {ChargeCalculation[]} calculations - The calculations to combine
+   * @param {Object} options - roundingPolicy and currency of the combined calculation
+   * @returns {ChargeCalculation} The combined calculation
+   */
+  static combine(calculations, { roundingPolicy = new RoundingPolicy(), currency = 'INR' } = {}) {
+    const addInto = (totals, lines) => {
+      for (const [name, amount] of lines) {
+        totals.set(name, amount.add(totals.get(name) || 0));
+      }
+      return totals;
+    };
+    
+    const additionalChargeTypes = new Map();
+    for (const calculation of calculations) {
+      for (const [name, type] of calculation.additionalChargeTypes) {
+        additionalChargeTypes.set(name, type);
+      }
+    }
+    
+    return new ChargeCalculation({
+      baseCharge: Money.sum(calculations.map(calculation => calculation.baseCharge)),
+      additionalCharges: calculations.reduce((totals, calculation) => addInto(totals, calculation.additionalCharges), new Map()),
+      additionalChargeTypes,
+      fuelAdjustment: Money.sum(calculations.map(calculation => calculation.fuelAdjustment)),
+      discounts: calculations.reduce((totals, calculation) => addInto(totals, calculation.discounts), new Map()),
+      surcharges: calculations.reduce((totals, calculation) => addInto(totals, calculation.surcharges), new Map()),
+      roundingPolicy,
+      currency
+    });
   }
 
   /**
    * Calculate the total charge including all components
-   * @returns {number} The total charge
+   * @returns {Money} The total charge, rounded per the rounding policy
    */
   calculateTotalCharge() {
     let total = this.baseCharge;
     
     // Add additional charges
     for (const amount of this.additionalCharges.values()) {
-      total += amount;
+      total = total.add(amount);
     }
     
     // Add fuel adjustment
-    total += this.fuelAdjustment;
+    total = total.add(this.fuelAdjustment);
     
     // Add surcharges
     for (const amount of this.surcharges.values()) {
-      total += amount;
+      total = total.add(amount);
     }
     
     // Subtract discounts
     for (const amount of this.discounts.values()) {
-      total -= amount;
+      total = total.subtract(amount);
     }
     
-    return total;
+    return this.roundingPolicy.round(total);
+  }
+
+  /**
+   * Attach the tax levied on this calculation
+   * @param {TaxCalculation} taxCalculation - The tax calculation
+   */
+  applyTax(taxCalculation) {
+    this.tax = taxCalculation;
   }
 
   /**
-   * Get a detailed breakdown of the charge calculation
+   * Calculate the grand total payable, including tax collected on the charge
+   * @returns {Money} Total charge plus payable tax
+   */
+  calculateGrandTotal() {
+    return this.tax ? this.totalCharge.add(this.tax.payableTax()) : this.totalCharge;
+  }
+
+  /**
+   * Convert this calculation into another currency, e.g. the client's billing currency.
+   * The original amounts are kept; converted amounts are added to the breakdown.
+   * @param {string} currency - Target currency code
+   * @param {ExchangeRateTable} exchangeRates - Table to take the rate from
+   * @param {Date} date - Date the exchange rate must be effective on
+   * @returns {ChargeCalculation} This calculation
+   * @throws {RatingError} If no exchange rate table is given, or no exchange rate is effective
+   *   for the pair on the date
+   */
+  convertTo(currency, exchangeRates, date) {
+    if (currency === this.currency) {
+      this.conversion = null;
+      return this;
+    }
+    
+    if (!exchangeRates) {
+      throw new RatingError(
+        `Exchange rates are required to convert ${this.currency} charges to ${currency}`,
+        RatingErrorCode.EXCHANGE_RATES_MISSING,
+        { fromCurrency: this.currency, toCurrency: currency }
+      );
+    }
+    
+    const { rate, inverse } = exchangeRates.findRate(this.currency, currency, date);
+    const convert = amount => inverse ? amount.divide(rate.rate) : amount.multiply(rate.rate);
+    
+    this.conversion = {
+      currency,
+      rateDate: date instanceof Date ? date : new Date(date),
+      exchangeRate: inverse ? Money.of(1).divide(rate.rate) : Money.of(rate.rate),
+      convert,
+      totalCharge: this.roundingPolicy.round(convert(this.totalCharge))
+    };
+    
+    return this;
+  }
+
+  /**
+   * Get a detailed breakdown of the charge calculation.
+   * Lines are shown rounded; when rounding on the total, the difference between the
+   * rounded lines and the total is reported as roundingAdjustment so the lines always
+   * reconcile to totalCharge. Converted amounts, if any, reconcile the same way.
+   * Quantity-based additional charges also report the quantity they were priced on, and
+   * weight or volume rating reports the actual, volumetric and chargeable quantities.
+   * Multi-stop trips report their route: the stops, each leg (with its own charges when
+   * rated per leg), and the lane rated when the route is rated as one lane.
+   * grandTotal adds any tax collected on top of totalCharge.
    * @returns {ChargeBreakdown} The charge breakdown
    */
   breakdown() {
+    const breakdown = {
+      currency: this.currency,
+      ...this._breakdownAmounts(amount => amount, this.totalCharge)
+    };
+    
+    if (this.chargeableQuantity) {
+      breakdown.chargeableQuantity = this.chargeableQuantity;
+    }
+    if (this.route) {
+      breakdown.route = this.route;
+    }
+    
+    if (this.tax) {
+      breakdown.tax = this.tax.breakdown();
+    }
+    breakdown.grandTotal = this.calculateGrandTotal().toNumber();
+    
+    if (this.conversion) {
+      const { currency, rateDate, exchangeRate, convert, totalCharge } = this.conversion;
+      breakdown.converted = {
+        currency,
+        exchangeRate: exchangeRate.toNumber(),
+        rateDate,
+        ...this._breakdownAmounts(convert, totalCharge)
+      };
+    }
+    
+    return breakdown;
+  }
+
+  /**
+   * Build the rounded line amounts of the breakdown
+   * @param {function(Money): Money} convert - Applied to each amount before rounding
+   * @param {Money} totalCharge - The total the lines must reconcile to
+   * @returns {Object} Line amounts, rounding adjustment and total
+   * @private
+   */
+  _breakdownAmounts(convert, totalCharge) {
+    const round = amount => this.roundingPolicy.round(convert(amount));
+    let lineTotal = round(this.baseCharge).add(round(this.fuelAdjustment));
+    
     const additionalChargesArray = [];
     for (const [name, amount] of this.additionalCharges.entries()) {
-      additionalChargesArray.push({ name, amount });
+      additionalChargesArray.push({
+        name,
+        amount: round(amount).toNumber(),
+        ...(this.additionalChargeQuantities.has(name) ? { quantity: this.additionalChargeQuantities.get(name) } : {})
+      });
+      lineTotal = lineTotal.add(round(amount));
     }
     
     const discountsArray = [];
     for (const [name, amount] of this.discounts.entries()) {
-      discountsArray.push({ name, amount });
+      discountsArray.push({ name, amount: round(amount).toNumber() });
+      lineTotal = lineTotal.subtract(round(amount));
     }
     
     const surchargesArray = [];
     for (const [name, amount] of this.surcharges.entries()) {
-      surchargesArray.push({ name, amount });
+      surchargesArray.push({ name, amount: round(amount).toNumber() });
+      lineTotal = lineTotal.add(round(amount));
     }
     
     return {
-      baseCharge: this.baseCharge,
+      baseCharge: round(this.baseCharge).toNumber(),
       additionalCharges: additionalChargesArray,
-      fuelAdjustment: this.fuelAdjustment,
+      fuelAdjustment: round(this.fuelAdjustment).toNumber(),
       discounts: discountsArray,
       surcharges: surchargesArray,
-      totalCharge: this.totalCharge
+      roundingAdjustment: totalCharge.subtract(lineTotal).toNumber(),
+      totalCharge: totalCharge.toNumber()
     };
   }
 }
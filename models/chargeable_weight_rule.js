@@ -0,0 +1,136 @@
+/**
+ * ChargeableWeightRule model - Represents how a rate item works out the weight or volume it
+ * bills on: the greater of the actual and the volumetric quantity, rounded up to a break
+ * increment, in the item's units. Volumetric weight is volume times density, where density
+ * is given directly or as a divisor (cm³ per kg, e.g. 5000 for air freight).
+ */
+
+const KG_PER_LB = 0.45359237;
+const CBM_PER_CFT = 0.028316846592;
+
+class ChargeableWeightRule {
+  constructor({
+    density = null,
+    divisor = null,
+    weightIncrement = 0,
+    volumeIncrement = 0,
+    weightUnit = WeightUnit.KG,
+    volumeUnit = VolumeUnit.CBM
+  } = {}) {
+    this.density = density === null || density === undefined ? null : parseFloat(density);
+    this.divisor = divisor === null || divisor === undefined ? null : parseFloat(divisor);
+    this.weightIncrement = parseFloat(weightIncrement) || 0;
+    this.volumeIncrement = parseFloat(volumeIncrement) || 0;
+    this.weightUnit = weightUnit;
+    this.volumeUnit = volumeUnit;
+  }
+
+  /**
+   * Check if the rule does more than read the trip quantity as it is
+   * @returns {boolean} True if it has a density or divisor, increments or non-metric units
+   */
+  isConfigured() {
+    return this.volumetricDensity() !== null ||
+      this.weightIncrement > 0 ||
+      this.volumeIncrement > 0 ||
+      this.weightUnit !== WeightUnit.KG ||
+      this.volumeUnit !== VolumeUnit.CBM;
+  }
+
+  /**
+   * Get the density used to turn volume into volumetric weight
+   * @returns {number|null} Weight units per volume unit, or null if the rule has no volumetric conversion
+   */
+  volumetricDensity() {
+    if (this.density) {
+      return this.density;
+    }
+    if (this.divisor) {
+      // A divisor is metric: cm³ per kg, so 1,000,000 / divisor kg per cbm
+      const kgPerCbm = 1000000 / this.divisor;
+      return convertWeight(kgPerCbm, WeightUnit.KG, this.weightUnit) / convertVolume(1, VolumeUnit.CBM, this.volumeUnit);
+    }
+    return null;
+  }
+
+  /**
+   * Work out the chargeable weight or volume of a trip. Trip quantities are read in
+   * tripData.weightUnit and tripData.volumeUnit (default KG and CBM) and converted to the rule's units.
+   * @param {TripData} tripData - Data about the trip
+   * @param {string} parameter - "weight" or "volume"
+   * @returns {ChargeableQuantity} {parameter, unit, actual, volumetric, chargeable}; actual or
+   *   volumetric is null when the trip lacks what it needs
+   * @throws {Error} If the trip has neither the quantity nor what's needed to derive it
+   */
+  measure(tripData, parameter) {
+    const weight = convertWeight(parseFloat(tripData.weight), tripData.weightUnit || WeightUnit.KG, this.weightUnit);
+    const volume = convertVolume(parseFloat(tripData.volume), tripData.volumeUnit || VolumeUnit.CBM, this.volumeUnit);
+    const density = this.volumetricDensity();
+    const byWeight = parameter === 'weight';
+    
+    const actual = byWeight ? weight : volume;
+    let volumetric = null;
+    if (density) {
+      volumetric = byWeight ? volume * density : weight / density;
+    }
+    
+    if (isNaN(actual) && (volumetric === null || isNaN(volumetric))) {
+      throw new Error(`Trip is missing ${parameter}`);
+    }
+    
+    const larger = Math.max(isNaN(actual) ? 0 : actual, volumetric === null || isNaN(volumetric) ? 0 : volumetric);
+    
+    return {
+      parameter,
+      unit: byWeight ? this.weightUnit : this.volumeUnit,
+      actual: isNaN(actual) ? null : actual,
+      volumetric: volumetric === null || isNaN(volumetric) ? null : volumetric,
+      chargeable: roundUp(larger, byWeight ? this.weightIncrement : this.volumeIncrement)
+    };
+  }
+}
+
+/**
+ * Convert a weight between units
+ * @param {number} value - The weight
+ * @param {WeightUnit} from - Unit of the value
+ * @param {WeightUnit} to - Unit wanted
+ * @returns {number} The converted weight
+ */
+function convertWeight(value, from, to) {
+  if (from === to) {
+    return value;
+  }
+  return from === WeightUnit.LB ? value * KG_PER_LB : value / KG_PER_LB;
+}
+
+/**
+ * Convert a volume between units
+ * @param {number} value - The volume
+ * @param {VolumeUnit} from - Unit of the value
+ * @param {VolumeUnit} to - Unit wanted
+ * @returns {number} The converted volume
+ */
+function convertVolume(value, from, to) {
+  if (from === to) {
+    return value;
+  }
+  return from === VolumeUnit.CFT ? value * CBM_PER_CFT : value / CBM_PER_CFT;
+}
+
+/**
+ * Round a quantity up to the next break increment
+ * @param {number} value - The quantity
+ * @param {number} increment - The increment; 0 leaves the quantity as it is
+ * @returns {number} The rounded quantity
+ */
+function roundUp(value, increment) {
+  if (!increment) {
+    return value;
+  }
+  // Trim floating point noise so an exact multiple isn't pushed up to the next break
+  const steps = Math.ceil(parseFloat((value / increment).toFixed(9)));
+  return parseFloat((steps * increment).toFixed(9));
+}
+
+module.exports = ChargeableWeightRule;
\ No newline at end of file
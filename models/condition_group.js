@@ -0,0 +1,55 @@
+/**
+ * ConditionGroup model - Combines conditions (and nested groups) with AND, OR or NOT.
+ * NOT holds when its conditions do not all hold. Groups can be used anywhere a
+ * RateCondition can; lists of conditions are still combined with an implicit AND.
+ */
+class ConditionGroup {
+  constructor({
+    id = null,
+    rateItemId = null,
+    logic = ConditionLogic.AND,
+    conditions = []
+  }) {
+    this.id = id || generateUUID();
+    this.rateItemId = rateItemId;
+    this.logic = logic;
+    this.conditions = conditions;
+  }
+
+  /**
+   * Evaluate the group for the given trip data
+   * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data
+   * @returns {boolean} True if the group holds
+   */
+  evaluate(tripData, context = {}) {
+    switch (this.logic) {
+      case ConditionLogic.AND:
+        return this.conditions.every(condition => condition.evaluate(tripData, context));
+        
+      case ConditionLogic.OR:
+        return this.conditions.some(condition => condition.evaluate(tripData, context));
+        
+      case ConditionLogic.NOT:
+        return !this.conditions.every(condition => condition.evaluate(tripData, context));
+        
+      default:
+        throw new Error(`Unsupported condition logic: ${this.logic}`);
+    }
+  }
+
+  /**
+   * Describe this group
+   * @returns {string} e.g. "(weight GREATER_THAN 100 OR cargo.hazardClass IN 3,4)"
+   */
+  describe() {
+    const parts = this.conditions.map(condition => condition.describe());
+    
+    if (this.logic === ConditionLogic.NOT) {
+      return `NOT (${parts.join(' AND ')})`;
+    }
+    return `(${parts.join(` ${this.logic} `)})`;
+  }
+}
+
+module.exports = ConditionGroup;
\ No newline at end of file
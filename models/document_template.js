@@ -0,0 +1,149 @@
+/**
+ * DocumentTemplate model - Represents a client-customizable template for a rendered document.
+ *
+ * Templates use a small mustache-like syntax:
+ *   {{field}} / {{nested.field}}   value (HTML-escaped in HTML templates)
+ *   {{{field}}}                    value, never escaped
+ *   {{#each list}}...{{/each}}     repeat for each element; fields resolve on the element first
+ *   {{#if field}}...{{/if}}        include when the value is truthy (and not an empty list)
+ */
+class DocumentTemplate {
+  constructor({
+    id = null,
+    name,
+    documentType,
+    format = TemplateFormat.HTML,
+    clientId = null,
+    body
+  }) {
+    this.id = id || generateUUID();
+    this.name = name;
+    this.documentType = documentType;
+    this.format = format;
+    this.clientId = clientId;
+    this.body = body;
+    this.tree = parseTemplate(body);
+  }
+
+  /**
+   * Render this template with the given data
+   * @param {Object} data - Values referenced by the template
+   * @returns {string} The rendered document
+   */
+  render(data) {
+    return renderNodes(this.tree, [data], this.format === TemplateFormat.HTML);
+  }
+}
+
+/**
+ * Parse template text into a tree of text, value and block nodes
+ * @param {string} body - Template text
+ * @returns {Array<Object>} The parsed nodes
+ * @throws {Error} If blocks are not properly closed
+ */
+function parseTemplate(body) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{(\{?)\s*([#/]?)(\w*)\s*([\w.]*)\s*\}?\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', text: body.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+    
+    const [, raw, marker, word, path] = match;
+    if (marker === '#') {
+      const block = { type: word, path, children: [] };
+      current.children.push(block);
+      stack.push(block);
+    } else if (marker === '/') {
+      if (current.type !== word) {
+        throw new Error(`Unexpected {{/${word}}} in template`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'value', path: word + path, escape: !raw });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template`);
+  }
+
+  if (lastIndex < body.length) {
+    root.children.push({ type: 'text', text: body.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Render parsed template nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Array<Object>} scopes - Data scopes, innermost last
+ * @param {boolean} html - Whether values are HTML-escaped
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, html) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+        
+      case 'value': {
+        const value = lookup(scopes, node.path);
+        const text = value === null || value === undefined ? '' : String(value);
+        return html && node.escape ? escapeHtml(text) : text;
+      }
+      
+      case 'each': {
+        const list = lookup(scopes, node.path) || [];
+        return list.map(item => renderNodes(node.children, [...scopes, item], html)).join('');
+      }
+      
+      case 'if': {
+        const value = lookup(scopes, node.path);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return truthy ? renderNodes(node.children, scopes, html) : '';
+      }
+      
+      default:
+        throw new Error(`Unsupported template block: ${node.type}`);
+    }
+  }).join('');
+}
+
+/**
+ * Resolve a dotted path against the innermost scope that defines its first segment
+ * @param {Array<Object>} scopes - Data scopes, innermost last
+ * @param {string} path - Dotted path, e.g. "invoice.number"
+ * @returns {*} The value, or undefined
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+  const scope = [...scopes].reverse().find(s => s !== null && typeof s === 'object' && head in s);
+  if (!scope) {
+    return undefined;
+  }
+  return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = DocumentTemplate;
\ No newline at end of file
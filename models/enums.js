@@ -6,6 +6,7 @@
 const RateCardStatus = Object.freeze({
   DRAFT: 'DRAFT',
   PENDING_APPROVAL: 'PENDING_APPROVAL',
+  APPROVED: 'APPROVED',
   ACTIVE: 'ACTIVE',
   REJECTED: 'REJECTED',
   EXPIRED: 'EXPIRED',
@@ -42,7 +43,8 @@ const ChargeType = Object.freeze({
 });
 
 /**
- * Enum for condition operators
+ * Enum for condition operators. TIME_BETWEEN, DAY_OF_WEEK_IN, DATE_BETWEEN and IS_HOLIDAY
+ * compare a timestamp parameter in the local time of one of the trip's locations.
  * @readonly
  * @enum {string}
  */
@@ -56,12 +58,304 @@ const ConditionOperator = Object.freeze({
   BETWEEN: 'BETWEEN',
   IN: 'IN',
   NOT_IN: 'NOT_IN',
-  CONTAINS: 'CONTAINS'
+  CONTAINS: 'CONTAINS',
+  TIME_BETWEEN: 'TIME_BETWEEN',
+  DAY_OF_WEEK_IN: 'DAY_OF_WEEK_IN',
+  DATE_BETWEEN: 'DATE_BETWEEN',
+  IS_HOLIDAY: 'IS_HOLIDAY'
+});
+
+/**
+ * Enum for how a condition group combines its conditions
+ * @readonly
+ * @enum {string}
+ */
+const ConditionLogic = Object.freeze({
+  AND: 'AND',
+  OR: 'OR',
+  NOT: 'NOT'
+});
+
+/**
+ * Enum for the type a condition compares values as
+ * @readonly
+ * @enum {string}
+ */
+const ConditionValueType = Object.freeze({
+  STRING: 'STRING',
+  NUMBER: 'NUMBER',
+  BOOLEAN: 'BOOLEAN'
+});
+
+/**
+ * Enum for how slab rates are applied to a trip quantity
+ * @readonly
+ * @enum {string}
+ */
+const SlabMode = Object.freeze({
+  WHOLE: 'WHOLE',
+  INCREMENTAL: 'INCREMENTAL'
+});
+
+/**
+ * Enum for pricing rule types
+ * @readonly
+ * @enum {string}
+ */
+const PricingRuleType = Object.freeze({
+  DISCOUNT: 'DISCOUNT',
+  SURCHARGE: 'SURCHARGE'
+});
+
+/**
+ * Enum for the amount a pricing rule is calculated on
+ * @readonly
+ * @enum {string}
+ */
+const PricingRuleBasis = Object.freeze({
+  BASE_CHARGE: 'BASE_CHARGE',
+  SUBTOTAL: 'SUBTOTAL'
+});
+
+/**
+ * Enum for money rounding modes
+ * @readonly
+ * @enum {string}
+ */
+const RoundingMode = Object.freeze({
+  HALF_UP: 'HALF_UP',
+  HALF_EVEN: 'HALF_EVEN'
+});
+
+/**
+ * Enum for when amounts are rounded in a charge calculation
+ * @readonly
+ * @enum {string}
+ */
+const RoundingStrategy = Object.freeze({
+  PER_LINE: 'PER_LINE',
+  ON_TOTAL: 'ON_TOTAL'
+});
+
+/**
+ * Enum for the supplies a tax rule covers
+ * @readonly
+ * @enum {string}
+ */
+const TaxJurisdiction = Object.freeze({
+  INTRA_STATE: 'INTRA_STATE',
+  INTER_STATE: 'INTER_STATE',
+  COUNTRY: 'COUNTRY'
+});
+
+/**
+ * Enum for invoice status values
+ * @readonly
+ * @enum {string}
+ */
+const InvoiceStatus = Object.freeze({
+  DRAFT: 'DRAFT',
+  ISSUED: 'ISSUED',
+  PAID: 'PAID',
+  VOID: 'VOID'
+});
+
+/**
+ * Enum for documents that can be rendered
+ * @readonly
+ * @enum {string}
+ */
+const DocumentType = Object.freeze({
+  INVOICE: 'INVOICE',
+  RATE_CARD: 'RATE_CARD'
+});
+
+/**
+ * Enum for document template formats
+ * @readonly
+ * @enum {string}
+ */
+const TemplateFormat = Object.freeze({
+  HTML: 'HTML',
+  TEXT: 'TEXT'
+});
+
+/**
+ * Enum for rate card workflow actions
+ * @readonly
+ * @enum {string}
+ */
+const WorkflowAction = Object.freeze({
+  SUBMIT: 'SUBMIT',
+  APPROVE: 'APPROVE',
+  REJECT: 'REJECT',
+  WITHDRAW: 'WITHDRAW',
+  ACTIVATE: 'ACTIVATE',
+  EXPIRE: 'EXPIRE',
+  ARCHIVE: 'ARCHIVE',
+  REVISE: 'REVISE'
+});
+
+/**
+ * Enum for rate card import/export file formats
+ * @readonly
+ * @enum {string}
+ */
+const RateCardFileFormat = Object.freeze({
+  CSV: 'CSV',
+  EXCEL_CSV: 'EXCEL_CSV',
+  JSON: 'JSON'
+});
+
+/**
+ * Enum for rate card validation failure reasons
+ * @readonly
+ * @enum {string}
+ */
+const ValidationErrorCode = Object.freeze({
+  REQUIRED: 'REQUIRED',
+  INVALID_VALUE: 'INVALID_VALUE',
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_RANGE: 'INVALID_RANGE',
+  INCOMPLETE_RATE: 'INCOMPLETE_RATE',
+  OVERLAPPING_SLABS: 'OVERLAPPING_SLABS',
+  SLAB_GAP: 'SLAB_GAP',
+  DUPLICATE_LANE: 'DUPLICATE_LANE',
+  SHADOWED_LANE: 'SHADOWED_LANE',
+  OVERLAPPING_RATE_CARD: 'OVERLAPPING_RATE_CARD'
+});
+
+/**
+ * Enum for how a rate card rates trips with several stops: the whole route as one lane
+ * from origin to final stop, each leg as a lane of its own, or the lane to the farthest
+ * stop with the other stops billed as extra stops
+ * @readonly
+ * @enum {string}
+ */
+const MultiStopMode = Object.freeze({
+  FULL_ROUTE: 'FULL_ROUTE',
+  PER_LEG: 'PER_LEG',
+  FARTHEST_POINT: 'FARTHEST_POINT'
+});
+
+/**
+ * Enum for weight units
+ * @readonly
+ * @enum {string}
+ */
+const WeightUnit = Object.freeze({
+  KG: 'KG',
+  LB: 'LB'
+});
+
+/**
+ * Enum for volume units
+ * @readonly
+ * @enum {string}
+ */
+const VolumeUnit = Object.freeze({
+  CBM: 'CBM',
+  CFT: 'CFT'
+});
+
+/**
+ * Enum for how a fuel adjustment works out its surcharge percentage
+ * @readonly
+ * @enum {string}
+ */
+const FuelAdjustmentMethod = Object.freeze({
+  LINEAR: 'LINEAR',
+  BAND: 'BAND'
+});
+
+/**
+ * Enum for the amount a fuel adjustment is calculated on
+ * @readonly
+ * @enum {string}
+ */
+const FuelAdjustmentBasis = Object.freeze({
+  BASE_CHARGE: 'BASE_CHARGE',
+  BASE_AND_ACCESSORIALS: 'BASE_AND_ACCESSORIALS'
+});
+
+/**
+ * Enum for levels of the location hierarchy rate item lanes are matched against,
+ * from the broadest to the most specific
+ * @readonly
+ * @enum {string}
+ */
+const LocationLevel = Object.freeze({
+  COUNTRY: 'COUNTRY',
+  STATE: 'STATE',
+  CITY: 'CITY',
+  PINCODE: 'PINCODE'
+});
+
+/**
+ * Enum for rate card version status values. Only published versions are used for rating;
+ * a revision of an approved or active card stays pending until the card is approved again.
+ * @readonly
+ * @enum {string}
+ */
+const RateCardVersionStatus = Object.freeze({
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  PUBLISHED: 'PUBLISHED',
+  SUPERSEDED: 'SUPERSEDED'
+});
+
+/**
+ * Enum for rating failure reasons
+ * @readonly
+ * @enum {string}
+ */
+const RatingErrorCode = Object.freeze({
+  ZONE_NOT_MAPPED: 'ZONE_NOT_MAPPED',
+  ZONE_RATE_NOT_FOUND: 'ZONE_RATE_NOT_FOUND',
+  ZONE_MASTER_MISSING: 'ZONE_MASTER_MISSING',
+  NO_APPLICABLE_RATE: 'NO_APPLICABLE_RATE',
+  AMBIGUOUS_RATE: 'AMBIGUOUS_RATE',
+  EXCHANGE_RATE_NOT_FOUND: 'EXCHANGE_RATE_NOT_FOUND',
+  EXCHANGE_RATES_MISSING: 'EXCHANGE_RATES_MISSING',
+  CURRENCY_MISMATCH: 'CURRENCY_MISMATCH',
+  TAX_RULE_NOT_FOUND: 'TAX_RULE_NOT_FOUND',
+  NO_RATE_CARD_IN_EFFECT: 'NO_RATE_CARD_IN_EFFECT',
+  OVERLAPPING_RATE_CARDS: 'OVERLAPPING_RATE_CARDS',
+  NO_VERSION_IN_EFFECT: 'NO_VERSION_IN_EFFECT',
+  OVERLAPPING_VERSIONS: 'OVERLAPPING_VERSIONS',
+  HOLIDAY_CALENDAR_NOT_FOUND: 'HOLIDAY_CALENDAR_NOT_FOUND',
+  UNKNOWN_TIME_ZONE: 'UNKNOWN_TIME_ZONE',
+  FUEL_PRICE_INDEX_NOT_FOUND: 'FUEL_PRICE_INDEX_NOT_FOUND',
+  FUEL_PRICE_NOT_FOUND: 'FUEL_PRICE_NOT_FOUND',
+  LOCATION_GROUP_NOT_FOUND: 'LOCATION_GROUP_NOT_FOUND',
+  VEHICLE_CLASS_NOT_FOUND: 'VEHICLE_CLASS_NOT_FOUND'
 });
 
 module.exports = {
   RateCardStatus,
   RateType,
   ChargeType,
-  ConditionOperator
+  ConditionOperator,
+  ConditionLogic,
+  ConditionValueType,
+  SlabMode,
+  PricingRuleType,
+  PricingRuleBasis,
+  RoundingMode,
+  RoundingStrategy,
+  TaxJurisdiction,
+  InvoiceStatus,
+  DocumentType,
+  TemplateFormat,
+  WorkflowAction,
+  RateCardFileFormat,
+  ValidationErrorCode,
+  FuelAdjustmentMethod,
+  FuelAdjustmentBasis,
+  MultiStopMode,
+  WeightUnit,
+  VolumeUnit,
+  LocationLevel,
+  RateCardVersionStatus,
+  RatingErrorCode
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * ExchangeRate model - Represents a locally maintained FX rate effective from a date
+ */
+class ExchangeRate {
+  constructor({
+    id = null,
+    fromCurrency,
+    toCurrency,
+    rate,
+    effectiveFrom
+  }) {
+    this.id = id || generateUUID();
+    this.fromCurrency = fromCurrency;
+    this.toCurrency = toCurrency;
+    this.rate = parseFloat(rate);
+    this.effectiveFrom = effectiveFrom instanceof Date ? effectiveFrom : new Date(effectiveFrom);
+  }
+}
+
+module.exports = ExchangeRate;
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * ExchangeRateTable model - Represents a date-effective table of exchange rates
+ */
+class ExchangeRateTable {
+  constructor({
+    rates = []
+  } = {}) {
+    this.rates = rates;
+  }
+
+  /**
+   * Add an exchange rate to the table
+   * @param {ExchangeRate} rate - The rate to add
+   */
+  addRate(rate) {
+    this.rates.push(rate);
+  }
+
+  /**
+   * Find the rate in effect for a currency pair on a date. A rate quoted for the
+   * reverse pair is used (inverted) when there is no direct quote.
+   * @param {string} fromCurrency - Currency to convert from
+   * @param {string} toCurrency - Currency to convert to
+   * @param {Date} date - Date the rate must be effective on
+   * @returns {{rate: ExchangeRate, inverse: boolean}} The rate and whether it is quoted in reverse
+   * @throws {RatingError} If no rate is effective for the pair on the date
+   */
+  findRate(fromCurrency, toCurrency, date) {
+    const asOf = date instanceof Date ? date : new Date(date);
+    const latest = (from, to) => this.rates
+      .filter(rate => rate.fromCurrency === from && rate.toCurrency === to && rate.effectiveFrom <= asOf)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+    
+    const direct = latest(fromCurrency, toCurrency);
+    if (direct) {
+      return { rate: direct, inverse: false };
+    }
+    
+    const reverse = latest(toCurrency, fromCurrency);
+    if (reverse) {
+      return { rate: reverse, inverse: true };
+    }
+    
+    throw new RatingError(
+      `No exchange rate from ${fromCurrency} to ${toCurrency} effective on ${asOf.toISOString().slice(0, 10)}`,
+      RatingErrorCode.EXCHANGE_RATE_NOT_FOUND,
+      { fromCurrency, toCurrency, date: asOf }
+    );
+  }
+
+  /**
+   * Convert an amount between currencies using the rate effective on a date
+   * @param {number|string|Money} amount - The amount to convert
+   * @param {string} fromCurrency - Currency of the amount
+   * @param {string} toCurrency - Target currency
+   * @param {Date} date - Date the rate must be effective on
+   * @returns {Money} The converted amount, unrounded
+   */
+  convert(amount, fromCurrency, toCurrency, date) {
+    if (fromCurrency === toCurrency) {
+      return Money.of(amount);
+    }
+    
+    const { rate, inverse } = this.findRate(fromCurrency, toCurrency, date);
+    return inverse ? Money.of(amount).divide(rate.rate) : Money.of(amount).multiply(rate.rate);
+  }
+}
+
+module.exports = ExchangeRateTable;
\ No newline at end of file
@@ -1,38 +1,121 @@
 /**
- * FuelAdjustment model - Represents fuel price adjustment for a rate
+ * FuelAdjustment model - Represents fuel price adjustment for a rate.
+ * The current fuel price is either fixed (currentPrice) or looked up on the trip date in a
+ * fuel price index. LINEAR adjusts by adjustmentFactor times the percentage change from
+ * basePrice; BAND takes the surcharge percentage from the band the price falls in.
  */
 class FuelAdjustment {
   constructor({
     enabled = false,
     basePrice = 0,
     currentPrice = 0,
-    adjustmentFactor = 0
-  }) {
+    adjustmentFactor = 0,
+    priceIndex = null,
+    region = null,
+    method = FuelAdjustmentMethod.LINEAR,
+    bands = [],
+    floorPercent = null,
+    capPercent = null,
+    basis = FuelAdjustmentBasis.BASE_CHARGE
+  } = {}) {
     this.enabled = enabled;
     this.basePrice = parseFloat(basePrice);
     this.currentPrice = parseFloat(currentPrice);
     this.adjustmentFactor = parseFloat(adjustmentFactor);
+    this.priceIndex = priceIndex || null;
+    this.region = region || null;
+    this.method = method;
+    this.bands = bands.map(band => ({
+      minPrice: parseFloat(band.minPrice) || 0,
+      maxPrice: band.maxPrice === null || band.maxPrice === undefined ? null : parseFloat(band.maxPrice),
+      surchargePercent: parseFloat(band.surchargePercent)
+    }));
+    this.floorPercent = floorPercent === null || floorPercent === undefined ? null : parseFloat(floorPercent);
+    this.capPercent = capPercent === null || capPercent === undefined ? null : parseFloat(capPercent);
+    this.basis = basis;
   }
 
   /**
    * Calculate the fuel adjustment amount
-   * @param {number} baseRate - The base rate to adjust
-   * @returns {number} The calculated adjustment amount
+   * @param {Money} baseRate - The amount to adjust: the base charge, or the base charge plus
+   *   additional charges when basis is BASE_AND_ACCESSORIALS
+   * @param {Date} tripDate - Date to look the fuel price up on (default now)
+   * @param {RatingContext} context - Shared reference data, with fuelPriceIndexes when the
+   *   adjustment references an index
+   * @returns {Money} The calculated adjustment amount
+   * @throws {RatingError} If the price index, or a price effective on the trip date, is not found
    */
-  calculate(baseRate) {
-    if (!this.enabled || this.basePrice === 0) {
-      return 0;
+  calculate(baseRate, tripDate = new Date(), context = {}) {
+    if (!this.enabled) {
+      return Money.zero();
     }
     
-    // Calculate the percentage change in fuel price
-    const priceChange = this.currentPrice - this.basePrice;
-    const percentageChange = (priceChange / this.basePrice) * 100;
+    const price = this.getPrice(tripDate, context);
+    let adjustmentAmount;
     
-    // Apply the adjustment factor
-    const adjustmentAmount = (baseRate * percentageChange * this.adjustmentFactor) / 100;
+    if (this.method === FuelAdjustmentMethod.BAND) {
+      const band = this.findBand(price);
+      adjustmentAmount = band ? Money.of(baseRate).percentage(band.surchargePercent) : Money.zero();
+    } else {
+      if (this.basePrice === 0) {
+        return Money.zero();
+      }
+      
+      // Calculate the change in fuel price
+      const priceChange = Money.of(price).subtract(this.basePrice);
+      
+      // Apply the adjustment factor to the percentage change; dividing last keeps full precision
+      adjustmentAmount = Money.of(baseRate)
+        .multiply(priceChange)
+        .multiply(this.adjustmentFactor)
+        .divide(this.basePrice);
+    }
+    
+    // Apply floor and cap, as percentages of the amount adjusted
+    if (this.floorPercent !== null) {
+      adjustmentAmount = Money.max(adjustmentAmount, Money.of(baseRate).percentage(this.floorPercent));
+    }
+    if (this.capPercent !== null) {
+      adjustmentAmount = Money.min(adjustmentAmount, Money.of(baseRate).percentage(this.capPercent));
+    }
     
     return adjustmentAmount;
   }
+
+  /**
+   * Get the fuel price to adjust for
+   * @param {Date} tripDate - Date the price must be effective on
+   * @param {RatingContext} context - Shared reference data, with fuelPriceIndexes
+   * @returns {number} The index price for the region on the date, or currentPrice without an index
+   * @throws {RatingError} If the price index, or a price effective on the date, is not found
+   */
+  getPrice(tripDate, context = {}) {
+    if (!this.priceIndex) {
+      return this.currentPrice;
+    }
+    
+    const index = (context.fuelPriceIndexes || []).find(candidate => candidate.name === this.priceIndex);
+    if (!index) {
+      throw new RatingError(
+        `Fuel price index ${this.priceIndex} is not available for rating`,
+        RatingErrorCode.FUEL_PRICE_INDEX_NOT_FOUND,
+        { index: this.priceIndex }
+      );
+    }
+    
+    return index.findPrice(this.region, tripDate).price;
+  }
+
+  /**
+   * Find the band a fuel price falls in (minPrice inclusive, maxPrice exclusive)
+   * @param {number} price - The fuel price
+   * @returns {Object|null} The band ({minPrice, maxPrice, surchargePercent}), or null if none covers the price
+   */
+  findBand(price) {
+    return this.bands.find(band =>
+      price >= band.minPrice && (band.maxPrice === null || price < band.maxPrice)
+    ) || null;
+  }
 }
 
 module.exports = FuelAdjustment;
\ No newline at end of file
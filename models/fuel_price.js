@@ -0,0 +1,18 @@
+/**
+ * FuelPrice model - Represents a fuel price in a region, effective from a date
+ */
+class FuelPrice {
+  constructor({
+    id = null,
+    region,
+    price,
+    effectiveFrom
+  }) {
+    this.id = id || generateUUID();
+    this.region = region;
+    this.price = parseFloat(price);
+    this.effectiveFrom = effectiveFrom instanceof Date ? effectiveFrom : new Date(effectiveFrom);
+  }
+}
+
+module.exports = FuelPrice;
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * FuelPriceIndex model - Represents a named, locally maintained series of dated fuel prices
+ * per region (e.g. a diesel index), referenced by fuel adjustments
+ */
+class FuelPriceIndex {
+  constructor({
+    id = null,
+    name,
+    prices = []
+  }) {
+    this.id = id || generateUUID();
+    this.name = name;
+    this.prices = prices.map(price => (price instanceof FuelPrice ? price : new FuelPrice(price)));
+  }
+
+  /**
+   * Add a price to the index
+   * @param {FuelPrice} price - The price to add
+   */
+  addPrice(price) {
+    this.prices.push(price);
+  }
+
+  /**
+   * Find the price in effect for a region on a date
+   * @param {string} region - Region code
+   * @param {Date} date - Date the price must be effective on
+   * @returns {FuelPrice} The latest price effective on the date
+   * @throws {RatingError} If the index has no price for the region effective on the date
+   */
+  findPrice(region, date) {
+    const asOf = date instanceof Date ? date : new Date(date);
+    const price = this.prices
+      .filter(candidate => candidate.region === region && candidate.effectiveFrom <= asOf)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+    
+    if (!price) {
+      throw new RatingError(
+        `No ${this.name} fuel price for region ${region} effective on ${asOf.toISOString().slice(0, 10)}`,
+        RatingErrorCode.FUEL_PRICE_NOT_FOUND,
+        { index: this.name, region, date: asOf }
+      );
+    }
+    return price;
+  }
+}
+
+module.exports = FuelPriceIndex;
\ No newline at end of file
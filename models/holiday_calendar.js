@@ -0,0 +1,52 @@
+/**
+ * HolidayCalendar model - Represents a named list of local holidays (e.g. public holidays
+ * of a state), used by IS_HOLIDAY conditions. Recurring holidays fall on the same
+ * month and day every year.
+ */
+class HolidayCalendar {
+  constructor({
+    id = null,
+    name,
+    holidays = []
+  }) {
+    this.id = id || generateUUID();
+    this.name = name;
+    this.holidays = holidays.map(holiday => ({
+      date: String(holiday.date).trim(),
+      name: holiday.name || null,
+      recurring: Boolean(holiday.recurring)
+    }));
+  }
+
+  /**
+   * Add a holiday to this calendar
+   * @param {string} date - Local date as "YYYY-MM-DD"
+   * @param {string} name - Holiday name
+   * @param {boolean} recurring - True if the holiday falls on this month and day every year
+   */
+  addHoliday(date, name = null, recurring = false) {
+    this.holidays.push({ date: String(date).trim(), name, recurring });
+  }
+
+  /**
+   * Find the holiday falling on a local date
+   * @param {string} localDate - Local date as "YYYY-MM-DD"
+   * @returns {Object|null} The holiday ({date, name, recurring}), or null if the date is not a holiday
+   */
+  findHoliday(localDate) {
+    return this.holidays.find(holiday =>
+      holiday.recurring ? holiday.date.slice(5) === localDate.slice(5) : holiday.date === localDate
+    ) || null;
+  }
+
+  /**
+   * Check if a local date is a holiday in this calendar
+   * @param {string} localDate - Local date as "YYYY-MM-DD"
+   * @returns {boolean} True if it is a holiday
+   */
+  isHoliday(localDate) {
+    return this.findHoliday(localDate) !== null;
+  }
+}
+
+module.exports = HolidayCalendar;
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Allowed invoice status transitions
+ */
+const INVOICE_TRANSITIONS = Object.freeze({
+  [InvoiceStatus.DRAFT]: [InvoiceStatus.ISSUED, InvoiceStatus.VOID],
+  [InvoiceStatus.ISSUED]: [InvoiceStatus.PAID, InvoiceStatus.VOID],
+  [InvoiceStatus.PAID]: [],
+  [InvoiceStatus.VOID]: []
+});
+
+/**
+ * Invoice model - Represents a client invoice aggregating rated trips over a billing period
+ */
+class Invoice {
+  constructor({
+    id = null,
+    invoiceNumber = null,
+    seriesCode,
+    clientId,
+    periodStart,
+    periodEnd,
+    currency,
+    status = InvoiceStatus.DRAFT,
+    createdBy,
+    createdAt = new Date(),
+    issuedBy = null,
+    issuedAt = null,
+    paidAt = null,
+    voidedAt = null,
+    voidReason = null
+  }) {
+    this.id = id || generateUUID();
+    this.invoiceNumber = invoiceNumber;
+    this.seriesCode = seriesCode;
+    this.clientId = clientId;
+    this.periodStart = periodStart instanceof Date ? periodStart : new Date(periodStart);
+    this.periodEnd = periodEnd instanceof Date ? periodEnd : new Date(periodEnd);
+    this.currency = currency;
+    this.status = status;
+    this.createdBy = createdBy;
+    this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt);
+    this.issuedBy = issuedBy;
+    this.issuedAt = issuedAt ? (issuedAt instanceof Date ? issuedAt : new Date(issuedAt)) : null;
+    this.paidAt = paidAt ? (paidAt instanceof Date ? paidAt : new Date(paidAt)) : null;
+    this.voidedAt = voidedAt ? (voidedAt instanceof Date ? voidedAt : new Date(voidedAt)) : null;
+    this.voidReason = voidReason;
+    this.lines = [];
+  }
+
+  /**
+   * Add a line to this invoice
+   * @param {InvoiceLine} line - The line to add
+   * @throws {Error} If the line's currency differs from the invoice currency
+   */
+  addLine(line) {
+    if (line.currency !== this.currency) {
+      throw new Error(`Line currency ${line.currency} does not match invoice currency ${this.currency}`);
+    }
+    line.invoiceId = this.id;
+    this.lines.push(line);
+  }
+
+  /**
+   * @returns {Money} Sum of line amounts before tax
+   */
+  subtotal() {
+    return Money.sum(this.lines.map(line => line.amount));
+  }
+
+  /**
+   * @returns {Money} Sum of tax across lines
+   */
+  totalTax() {
+    return Money.sum(this.lines.map(line => line.taxAmount));
+  }
+
+  /**
+   * @returns {Money} Sum of line totals including tax
+   */
+  grandTotal() {
+    return this.subtotal().add(this.totalTax());
+  }
+
+  /**
+   * Check if the invoice may move to a status
+   * @param {InvoiceStatus} status - The target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransitionTo(status) {
+    return INVOICE_TRANSITIONS[this.status].includes(status);
+  }
+
+  /**
+   * Issue this invoice under a number
+   * @param {string} invoiceNumber - Number taken from the invoice series
+   * @param {string} userId - User issuing the invoice
+   */
+  issue(invoiceNumber, userId) {
+    this.invoiceNumber = invoiceNumber;
+    this.status = InvoiceStatus.ISSUED;
+    this.issuedBy = userId;
+    this.issuedAt = new Date();
+  }
+
+  /**
+   * Mark this invoice as paid
+   * @param {Date} paidAt - Date the payment was received
+   */
+  markPaid(paidAt = new Date()) {
+    this.status = InvoiceStatus.PAID;
+    this.paidAt = paidAt instanceof Date ? paidAt : new Date(paidAt);
+  }
+
+  /**
+   * Void this invoice. An issued invoice keeps its number so the series stays gap-free.
+   * @param {string} reason - Why the invoice is voided
+   */
+  void(reason) {
+    this.status = InvoiceStatus.VOID;
+    this.voidReason = reason;
+    this.voidedAt = new Date();
+  }
+}
+
+module.exports = Invoice;
\ No newline at end of file
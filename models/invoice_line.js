@@ -0,0 +1,40 @@
+/**
+ * InvoiceLine model - Represents one rated trip on an invoice
+ */
+class InvoiceLine {
+  constructor({
+    id = null,
+    invoiceId = null,
+    tripId,
+    tripDate,
+    description = '',
+    rateCardId,
+    rateCardVersionId,
+    currency,
+    amount,
+    taxAmount = 0,
+    breakdown = null
+  }) {
+    this.id = id || generateUUID();
+    this.invoiceId = invoiceId;
+    this.tripId = tripId;
+    this.tripDate = tripDate instanceof Date ? tripDate : new Date(tripDate);
+    this.description = description;
+    this.rateCardId = rateCardId;
+    this.rateCardVersionId = rateCardVersionId;
+    this.currency = currency;
+    this.amount = Money.of(amount);
+    this.taxAmount = Money.of(taxAmount);
+    this.breakdown = breakdown;
+  }
+
+  /**
+   * Get the line total including tax
+   * @returns {Money} Amount plus tax
+   */
+  total() {
+    return this.amount.add(this.taxAmount);
+  }
+}
+
+module.exports = InvoiceLine;
\ No newline at end of file
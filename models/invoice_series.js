@@ -0,0 +1,46 @@
+/**
+ * InvoiceSeries model - Represents a sequential, gap-free invoice numbering series
+ */
+class InvoiceSeries {
+  constructor({
+    id = null,
+    code,
+    prefix = '',
+    nextNumber = 1,
+    padding = 5
+  }) {
+    this.id = id || generateUUID();
+    this.code = code;
+    this.prefix = prefix;
+    this.nextNumber = parseInt(nextNumber, 10);
+    this.padding = parseInt(padding, 10);
+  }
+
+  /**
+   * Take the next number in the series
+   * @returns {string} The formatted invoice number
+   */
+  takeNextNumber() {
+    const invoiceNumber = this.formatNumber(this.nextNumber);
+    this.nextNumber += 1;
+    return invoiceNumber;
+  }
+
+  /**
+   * Return the last number taken, when the invoice it was taken for could not be saved
+   */
+  releaseLastNumber() {
+    this.nextNumber -= 1;
+  }
+
+  /**
+   * Format a sequence number with this series' prefix and padding
+   * @param {number} sequence - The sequence number
+   * @returns {string} The formatted invoice number
+   */
+  formatNumber(sequence) {
+    return `${this.prefix}${String(sequence).padStart(this.padding, '0')}`;
+  }
+}
+
+module.exports = InvoiceSeries;
\ No newline at end of file
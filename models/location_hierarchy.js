@@ -0,0 +1,217 @@
+/**
+ * LocationHierarchy model - Represents the locations rate item lanes are matched against:
+ * countries, states, cities and pincodes, each linked to its parent, plus named groups of
+ * locations (e.g. WEST = MH, GJ, GA). A lane pattern covers a trip location when it is the
+ * location or one of its ancestors, a pincode range containing the location's pincode, or a
+ * group ("@WEST") with a member that covers the location.
+ */
+
+// How specific each kind of lane pattern is; rate items on more specific lanes are preferred
+const PATTERN_SPECIFICITY = Object.freeze({
+  WILDCARD: 0,
+  COUNTRY: 1,
+  GROUP: 2,
+  STATE: 3,
+  CITY: 4,
+  PINCODE_RANGE: 5,
+  EXACT: 6
+});
+
+class LocationHierarchy {
+  constructor({
+    id = null,
+    name = null,
+    locations = [],
+    groups = []
+  } = {}) {
+    this.id = id || generateUUID();
+    this.name = name;
+    this.locations = locations.map(location => ({
+      code: normalize(location.code),
+      name: location.name || location.code,
+      level: location.level,
+      parent: location.parent ? normalize(location.parent) : null
+    }));
+    this.groups = groups.map(group => ({
+      name: normalize(group.name),
+      members: group.members.map(normalize)
+    }));
+  }
+
+  /**
+   * Add a location to the hierarchy
+   * @param {Object} location - {code, name, level, parent}, where parent is the code of the enclosing location
+   * @throws {Error} If a location with the same code already exists
+   */
+  addLocation({ code, name = code, level, parent = null }) {
+    if (this.getLocation(code)) {
+      throw new Error(`Location already defined: ${code}`);
+    }
+    this.locations.push({ code: normalize(code), name, level, parent: parent ? normalize(parent) : null });
+  }
+
+  /**
+   * Get a location by its code or name
+   * @param {string} codeOrName - Location code or name (case-insensitive)
+   * @returns {Object|null} The location ({code, name, level, parent}), or null if not defined
+   */
+  getLocation(codeOrName) {
+    const value = normalize(codeOrName);
+    return this.locations.find(location => location.code === value) ||
+      this.locations.find(location => normalize(location.name) === value) ||
+      null;
+  }
+
+  /**
+   * Get the code a location pattern or trip location refers to
+   * @param {string} codeOrName - Location code or name
+   * @returns {string} The location's code, or the normalized value if it is not in the hierarchy
+   */
+  codeOf(codeOrName) {
+    const known = this.getLocation(codeOrName);
+    return known ? known.code : normalize(codeOrName);
+  }
+
+  /**
+   * Add a named group of locations
+   * @param {string} name - Group name, referenced by lanes as "@name"
+   * @param {string[]} members - Location codes or names and pincode ranges
+   * @throws {Error} If a group with the same name already exists
+   */
+  addGroup(name, members) {
+    if (this.getGroup(name)) {
+      throw new Error(`Location group already defined: ${name}`);
+    }
+    this.groups.push({ name: normalize(name), members: members.map(normalize) });
+  }
+
+  /**
+   * Get a location group by name
+   * @param {string} name - Group name, with or without the "@" prefix
+   * @returns {Object|null} The group ({name, members}), or null if not defined
+   */
+  getGroup(name) {
+    const value = groupName(name) || normalize(name);
+    return this.groups.find(group => group.name === value) || null;
+  }
+
+  /**
+   * Get the codes a trip location falls under: its own and those of all its ancestors
+   * @param {string|Location} location - Location code or name, pincode, or {pincode, city, state, country}
+   * @returns {string[]} The codes, most specific first; values not in the hierarchy are kept as given
+   */
+  lineage(location) {
+    if (location === null || location === undefined) {
+      return [];
+    }
+    
+    const values = typeof location === 'object'
+      ? [location.pincode, location.city, location.state, location.country]
+      : [location];
+    const codes = [];
+    
+    for (const value of values.filter(candidate => candidate !== undefined && candidate !== null && candidate !== '')) {
+      let current = this.getLocation(value);
+      if (!current) {
+        codes.push(normalize(value));
+      }
+      while (current && !codes.includes(current.code)) {
+        codes.push(current.code);
+        current = current.parent ? this.getLocation(current.parent) : null;
+      }
+    }
+    
+    return codes;
+  }
+
+  /**
+   * Get the pincode of a trip location
+   * @param {string|Location} location - The location
+   * @returns {number|null} The pincode, or null if the location doesn't identify one
+   */
+  pincodeOf(location) {
+    if (location === null || location === undefined) {
+      return null;
+    }
+    
+    let value = typeof location === 'object' ? location.pincode : location;
+    const known = typeof location === 'object' ? null : this.getLocation(location);
+    if (known && known.level === LocationLevel.PINCODE) {
+      value = known.code;
+    }
+    
+    return value !== undefined && value !== null && /^\d+$/.test(String(value).trim())
+      ? parseInt(value, 10)
+      : null;
+  }
+
+  /**
+   * Check if a lane pattern covers a trip location
+   * @param {string} pattern - "*", a location code or name, a pincode range or "@group"
+   * @param {string|Location} location - The trip location
+   * @returns {boolean} True if the location is within the pattern
+   * @throws {RatingError} If the pattern refers to a group that is not defined
+   */
+  covers(pattern, location) {
+    if (isWildcard(pattern)) {
+      return true;
+    }
+    
+    const name = groupName(pattern);
+    if (name) {
+      const group = this.getGroup(name);
+      if (!group) {
+        throw new RatingError(
+          `Location group ${name} is not available for rating`,
+          RatingErrorCode.LOCATION_GROUP_NOT_FOUND,
+          { group: name }
+        );
+      }
+      // Members are locations and pincode ranges; groups don't nest
+      return group.members.some(member => !groupName(member) && this.covers(member, location));
+    }
+    
+    const range = parsePincodeRange(pattern);
+    if (range) {
+      const pincode = this.pincodeOf(location);
+      return pincode !== null && pincode >= range.from && pincode <= range.to;
+    }
+    
+    return this.lineage(location).includes(this.codeOf(pattern));
+  }
+
+  /**
+   * Get how specific a lane pattern is: a pincode or an exact value ranks above a pincode
+   * range, then city, state, location group and country, with "*" last
+   * @param {string} pattern - The lane pattern
+   * @returns {number} The specificity; higher is more specific
+   */
+  specificity(pattern) {
+    if (isWildcard(pattern)) {
+      return PATTERN_SPECIFICITY.WILDCARD;
+    }
+    if (groupName(pattern)) {
+      return PATTERN_SPECIFICITY.GROUP;
+    }
+    if (parsePincodeRange(pattern)) {
+      return PATTERN_SPECIFICITY.PINCODE_RANGE;
+    }
+    
+    const known = this.getLocation(pattern);
+    if (!known || known.level === LocationLevel.PINCODE || !(known.level in PATTERN_SPECIFICITY)) {
+      return PATTERN_SPECIFICITY.EXACT;
+    }
+    return PATTERN_SPECIFICITY[known.level];
+  }
+}
+
+/**
+ * Normalize a location code, name or pattern for comparison
+ * @param {*} value - The value
+ * @returns {string} The trimmed, upper-case value
+ */
+function normalize(value) {
+  return String(value).trim().toUpperCase();
+}
+
+module.exports = LocationHierarchy;
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Money model - Immutable decimal amount with fixed-precision arithmetic.
+ * Amounts are held as integer units of 10^-8 so sums never drift the way
+ * binary floating point does; rounding to the billing precision is explicit.
+ */
+const SCALE = 8;
+const FACTOR = 10n ** BigInt(SCALE);
+
+class Money {
+  /**
+   * @param {bigint} units - Amount in units of 10^-8
+   */
+  constructor(units = 0n) {
+    this.units = units;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a Money value
+   * @param {number|string|Money} value - Amount to convert
+   * @returns {Money} The amount as Money
+   * @throws {Error} If the value is not a finite decimal
+   */
+  static of(value) {
+    if (value instanceof Money) {
+      return value;
+    }
+    return new Money(toUnits(value));
+  }
+
+  /**
+   * @returns {Money} A zero amount
+   */
+  static zero() {
+    return new Money(0n);
+  }
+
+  /**
+   * Add up a list of amounts
+   * @param {Iterable<number|string|Money>} amounts - Amounts to add
+   * @returns {Money} The sum
+   */
+  static sum(amounts) {
+    let total = Money.zero();
+    for (const amount of amounts) {
+      total = total.add(amount);
+    }
+    return total;
+  }
+
+  /**
+   * @param {number|string|Money} a - First amount
+   * @param {number|string|Money} b - Second amount
+   * @returns {Money} The larger amount
+   */
+  static max(a, b) {
+    return Money.of(a).lessThan(b) ? Money.of(b) : Money.of(a);
+  }
+
+  /**
+   * @param {number|string|Money} a - First amount
+   * @param {number|string|Money} b - Second amount
+   * @returns {Money} The smaller amount
+   */
+  static min(a, b) {
+    return Money.of(a).greaterThan(b) ? Money.of(b) : Money.of(a);
+  }
+
+  add(other) {
+    return new Money(this.units + Money.of(other).units);
+  }
+
+  subtract(other) {
+    return new Money(this.units - Money.of(other).units);
+  }
+
+  /**
+   * Multiply by a plain factor (a rate, quantity or ratio)
+   * @param {number|string|Money} factor - The multiplier
+   * @returns {Money} The product
+   */
+  multiply(factor) {
+    return new Money(divideAndRound(this.units * Money.of(factor).units, FACTOR));
+  }
+
+  /**
+   * Divide by a plain divisor
+   * @param {number|string|Money} divisor - The divisor
+   * @returns {Money} The quotient
+   * @throws {Error} If the divisor is zero
+   */
+  divide(divisor) {
+    const divisorUnits = Money.of(divisor).units;
+    if (divisorUnits === 0n) {
+      throw new Error('Cannot divide money by zero');
+    }
+    return new Money(divideAndRound(this.units * FACTOR, divisorUnits));
+  }
+
+  /**
+   * @param {number|string|Money} percent - Percentage, e.g. 18 for 18%
+   * @returns {Money} The given percentage of this amount
+   */
+  percentage(percent) {
+    return this.multiply(percent).divide(100);
+  }
+
+  negate() {
+    return new Money(-this.units);
+  }
+
+  /**
+   * Round to a number of decimal places
+   * @param {number} scale - Decimal places to keep
+   * @param {RoundingMode} mode - How to resolve halves
+   * @returns {Money} The rounded amount
+   */
+  round(scale = 2, mode = RoundingMode.HALF_UP) {
+    const step = 10n ** BigInt(SCALE - scale);
+    return new Money(divideAndRound(this.units, step, mode) * step);
+  }
+
+  compare(other) {
+    const otherUnits = Money.of(other).units;
+    return this.units === otherUnits ? 0 : (this.units < otherUnits ? -1 : 1);
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  isZero() {
+    return this.units === 0n;
+  }
+
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Format with a fixed number of decimal places (rounded half-up)
+   * @param {number} scale - Decimal places
+   * @returns {string} The formatted amount
+   */
+  toFixed(scale = 2) {
+    const rounded = this.round(scale).toString();
+    const [whole, fraction = ''] = rounded.split('.');
+    return scale > 0 ? `${whole}.${fraction.padEnd(scale, '0')}` : whole;
+  }
+
+  /**
+   * @returns {string} The exact amount, without trailing zeros
+   */
+  toString() {
+    const negative = this.units < 0n;
+    const magnitude = negative ? -this.units : this.units;
+    const whole = (magnitude / FACTOR).toString();
+    const fraction = (magnitude % FACTOR).toString().padStart(SCALE, '0').replace(/0+$/, '');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Divide two bigints, rounding the result
+ * @param {bigint} numerator - The numerator
+ * @param {bigint} divisor - The divisor (non-zero)
+ * @param {RoundingMode} mode - How to resolve halves; HALF_UP rounds away from zero
+ * @returns {bigint} The rounded quotient
+ */
+function divideAndRound(numerator, divisor, mode = RoundingMode.HALF_UP) {
+  if (divisor < 0n) {
+    numerator = -numerator;
+    divisor = -divisor;
+  }
+
+  const negative = numerator < 0n;
+  const magnitude = negative ? -numerator : numerator;
+  let quotient = magnitude / divisor;
+  const twiceRemainder = (magnitude % divisor) * 2n;
+
+  if (twiceRemainder > divisor ||
+      (twiceRemainder === divisor && (mode !== RoundingMode.HALF_EVEN || quotient % 2n === 1n))) {
+    quotient += 1n;
+  }
+
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Convert a decimal number or string to units of 10^-8
+ * @param {number|string} value - The value to convert
+ * @returns {bigint} The scaled value
+ * @throws {Error} If the value is not a finite decimal
+ */
+function toUnits(value) {
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid money amount: ${value}`);
+    }
+    // Avoid exponent notation, which the decimal parser below does not accept
+    text = Math.abs(value) < 1e21 ? String(value) : BigInt(value).toString();
+    if (/e/i.test(text)) {
+      text = value.toFixed(SCALE + 1);
+    }
+  } else {
+    text = String(value).trim();
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid money amount: ${value}`);
+  }
+
+  // Keep one guard digit so values beyond 8 decimals round instead of truncate
+  const [, sign, whole, fraction = ''] = match;
+  const digits = BigInt((whole || '0') + fraction.padEnd(SCALE + 1, '0').slice(0, SCALE + 1));
+  const units = divideAndRound(digits, 10n);
+
+  return sign === '-' ? -units : units;
+}
+
+module.exports = Money;
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * PricingRule model - Represents a discount or surcharge applied at rate item or rate card level
+ */
+class PricingRule {
+  constructor({
+    id = null,
+    rateCardId = null,
+    rateItemId = null,
+    name,
+    ruleType,
+    value,
+    isPercentage = false,
+    basis = PricingRuleBasis.BASE_CHARGE,
+    conditions = [],
+    minAmount = null,
+    maxAmount = null,
+    sequence = 0
+  }) {
+    this.id = id || generateUUID();
+    this.rateCardId = rateCardId;
+    this.rateItemId = rateItemId;
+    this.name = name;
+    this.ruleType = ruleType;
+    this.value = parseFloat(value);
+    this.isPercentage = isPercentage;
+    this.basis = basis;
+    this.conditions = conditions;
+    this.minAmount = minAmount === null || minAmount === undefined ? null : parseFloat(minAmount);
+    this.maxAmount = maxAmount === null || maxAmount === undefined ? null : parseFloat(maxAmount);
+    this.sequence = parseInt(sequence, 10) || 0;
+  }
+
+  /**
+   * Check if this rule applies to the given trip
+   * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data
+   * @returns {boolean} True if all conditions are met
+   */
+  isApplicable(tripData, context = {}) {
+    return this.conditions.every(condition => condition.evaluate(tripData, context));
+  }
+
+  /**
+   * Calculate the rule amount
+   * @param {Money} baseCharge - The base charge of the trip
+   * @param {Money} subtotal - The running subtotal before this rule
+   * @param {TripData} tripData - Trip data for conditional logic
+   * @param {RatingContext} context - Shared reference data
+   * @returns {Money} The discount or surcharge amount (always positive), zero if not applicable
+   */
+  calculate(baseCharge, subtotal, tripData, context = {}) {
+    if (!this.isApplicable(tripData, context)) {
+      return Money.zero();
+    }
+    
+    const basisAmount = Money.of(this.basis === PricingRuleBasis.SUBTOTAL ? subtotal : baseCharge);
+    let amount = this.isPercentage ? basisAmount.percentage(this.value) : Money.of(this.value);
+    
+    // Apply floor and cap
+    if (this.minAmount !== null) {
+      amount = Money.max(amount, this.minAmount);
+    }
+    if (this.maxAmount !== null) {
+      amount = Money.min(amount, this.maxAmount);
+    }
+    
+    // A discount can never take the charge below zero
+    if (this.ruleType === PricingRuleType.DISCOUNT) {
+      amount = Money.min(amount, subtotal);
+    }
+    
+    return amount;
+  }
+}
+
+module.exports = PricingRule;
\ No newline at end of file
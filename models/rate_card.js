@@ -14,7 +14,18 @@ class RateCard {
     createdAt = new Date(),
     updatedBy,
     updatedAt = new Date(),
-    currentVersionId = null
+    currentVersionId = null,
+    pendingVersionId = null,
+    pricingRules = [],
+    roundingPolicy = new RoundingPolicy(),
+    currency = 'INR',
+    latestVersionNumber = 0,
+    submittedBy = null,
+    revisedBy = [],
+    approvals = [],
+    rejectionReason = null,
+    statusHistory = [],
+    multiStopMode = MultiStopMode.FULL_ROUTE
   }) {
     this.id = id || generateUUID();
     this.name = name;
@@ -28,7 +39,18 @@ class RateCard {
     this.updatedBy = updatedBy;
     this.updatedAt = updatedAt instanceof Date ? updatedAt : new Date(updatedAt);
     this.currentVersionId = currentVersionId;
+    this.pendingVersionId = pendingVersionId; // Revision awaiting approval; the current version stays in force meanwhile
     this.rateItems = [];
+    this.pricingRules = pricingRules;
+    this.roundingPolicy = roundingPolicy;
+    this.currency = currency;
+    this.latestVersionNumber = latestVersionNumber;
+    this.submittedBy = submittedBy;
+    this.revisedBy = revisedBy; // Users who made the pending revision; like the creator, they can't approve it
+    this.approvals = approvals.map(approval => ({ ...approval, approvedAt: new Date(approval.approvedAt) }));
+    this.rejectionReason = rejectionReason;
+    this.statusHistory = statusHistory.map(entry => ({ ...entry, changedAt: new Date(entry.changedAt) }));
+    this.multiStopMode = multiStopMode;
   }
 
   /**
@@ -73,69 +95,242 @@ class RateCard {
   }
 
   /**
-   * Calculate rate for a trip using this rate card
+   * Get the rate items applicable to a trip, best candidate first.
+   * Items are ranked by lane specificity (e.g. a city lane ahead of a state lane), then by
+   * priority (higher wins); remaining ties keep their order on the card. Items whose
+   * conditions fail are skipped. When the context carries a rateItemIndex built for this
+   * card's items, only the index's candidates are checked.
    * @param {TripData} tripData - Data about the trip
-   * @returns {RateCalculation} The calculated rate
-   * @throws {Error} If no applicable rate item is found
+   * @param {RatingContext} context - Shared reference data
+   * @returns {RateItem[]} Applicable rate items in ranked order
+   */
+  rankRateItems(tripData, context = {}) {
+    const index = context.rateItemIndex;
+    const candidates = index && index.isFor(this.rateItems, context.locationHierarchy || null)
+      ? index.candidates(tripData)
+      : this.rateItems;
+      
+    return candidates
+      .filter(item => 
+        item.matchesCriteria(tripData.origin, tripData.destination, tripData.vehicleType, context) &&
+        item.conditionsMet(tripData, context)
+      )
+      .sort((a, b) => (b.specificity(context) - a.specificity(context)) || (b.priority - a.priority));
+  }
+
+  /**
+   * Select the rate item to use for a trip
+   * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data
+   * @returns {RateItemSelection} The selected item, plus any items tied with it
+   * @throws {RatingError} If no applicable rate item is found
    */
-  calculateRate(tripData) {
-    // Find applicable rate items
-    const applicableItems = this.rateItems.filter(item => 
-      item.matchesCriteria(tripData.origin, tripData.destination, tripData.vehicleType)
+  selectRateItem(tripData, context = {}) {
+    const rankedItems = this.rankRateItems(tripData, context);
+    
+    if (rankedItems.length === 0) {
+      throw new RatingError(
+        `No applicable rate found for trip: ${tripData.id}`,
+        RatingErrorCode.NO_APPLICABLE_RATE,
+        { tripId: tripData.id }
+      );
+    }
+    
+    const [rateItem, ...others] = rankedItems;
+    const tiedItems = others.filter(item => 
+      item.specificity(context) === rateItem.specificity(context) && item.priority === rateItem.priority
     );
+    
+    return {
+      rateItem,
+      ambiguous: tiedItems.length > 0,
+      tiedItems
+    };
+  }
 
-    if (applicableItems.length === 0) {
-      throw new Error(`No applicable rate found for trip: ${tripData.id}`);
+  /**
+   * Calculate rate for a trip using this rate card. Trips given as a route of stops or legs
+   * are rated per the card's multiStopMode, with the route in the result.
+   * @param {TripData} tripData - Data about the trip; stops or legs describe a multi-stop route
+   * @param {RatingContext} context - Shared reference data; with billingCurrency, the result is
+   *   converted on the trip date
+   * @returns {RateCalculation} The calculated rate
+   * @throws {RatingError} If no applicable rate item is found, or the best match is
+   *   ambiguous and context.rejectAmbiguous is set
+   */
+  calculateRate(tripData, context = {}) {
+    const trip = new Trip(tripData);
+    const calculation = trip.hasRoute()
+      ? this._rateRoute(trip, context)
+      : this._rateLane(tripData, context).calculation;
+      
+    if (context.billingCurrency && context.billingCurrency !== this.currency) {
+      calculation.convertTo(context.billingCurrency, context.exchangeRates, tripData.tripDate || new Date());
     }
+    
+    return calculation;
+  }
 
-    // For simplicity, use the first matching rate item
-    // In a real implementation, more complex selection logic would be used
-    const rateItem = applicableItems[0];
+  /**
+   * Rate a multi-stop trip per the card's multiStopMode
+   * @param {Trip} trip - The trip
+   * @param {RatingContext} context - Shared reference data
+   * @returns {ChargeCalculation} The calculation, with its route
+   * @throws {RatingError} If a lane has no applicable rate item, or is ambiguous and
+   *   context.rejectAmbiguous is set
+   * @private
+   */
+  _rateRoute(trip, context) {
+    const legs = trip.legs();
     
-    return rateItem.calculateCharge(tripData);
+    if (this.multiStopMode === MultiStopMode.PER_LEG) {
+      const ratedLegs = legs.map(leg => ({ leg, ...this._rateLane(trip.legData(leg.index), context) }));
+      const calculation = ChargeCalculation.combine(
+        ratedLegs.map(rated => rated.calculation),
+        { roundingPolicy: this.roundingPolicy, currency: this.currency }
+      );
+      calculation.route = {
+        mode: this.multiStopMode,
+        stops: trip.stops.map(stop => stop.location),
+        legs: ratedLegs.map(({ leg, rateItem, calculation: legCalculation }) => ({
+          ...leg,
+          rateItemId: rateItem.id,
+          charges: legCalculation.breakdown()
+        })),
+        lane: null
+      };
+      return calculation;
+    }
+    
+    const laneData = this.multiStopMode === MultiStopMode.FARTHEST_POINT
+      ? trip.farthestPointData()
+      : trip.routeData();
+    const { rateItem, calculation } = this._rateLane(laneData, context);
+    calculation.route = {
+      mode: this.multiStopMode,
+      stops: trip.stops.map(stop => stop.location),
+      legs,
+      lane: {
+        origin: laneData.origin,
+        destination: laneData.destination,
+        distance: laneData.distance === undefined ? null : laneData.distance,
+        extraStops: laneData.extraStops,
+        rateItemId: rateItem.id
+      }
+    };
+    return calculation;
   }
 
   /**
-   * Create a new version of this rate card
+   * Rate one lane: select the rate item and calculate its charge
+   * @param {TripData} tripData - Trip data for the lane
+   * @param {RatingContext} context - Shared reference data
+   * @returns {{rateItem: RateItem, calculation: ChargeCalculation}} The item used and its calculation
+   * @throws {RatingError} If no applicable rate item is found, or the best match is
+   *   ambiguous and context.rejectAmbiguous is set
+   * @private
+   */
+  _rateLane(tripData, context) {
+    const { rateItem, ambiguous, tiedItems } = this.selectRateItem(tripData, context);
+    
+    if (ambiguous && context.rejectAmbiguous) {
+      const itemIds = [rateItem, ...tiedItems].map(item => item.id);
+      throw new RatingError(
+        `Ambiguous rate for trip ${tripData.id}: items ${itemIds.join(', ')} are tied`,
+        RatingErrorCode.AMBIGUOUS_RATE,
+        { tripId: tripData.id, itemIds }
+      );
+    }
+    
+    const calculation = rateItem.calculateCharge(tripData, {
+      ...context,
+      pricingRules: this.pricingRules,
+      roundingPolicy: this.roundingPolicy,
+      currency: this.currency
+    });
+    
+    return { rateItem, calculation };
+  }
+
+  /**
+   * Create a new version of this rate card, snapshotting its rate items and the card-level
+   * settings rating depends on
+   * @param {Date} effectiveFrom - Date the version's rates apply from; defaults to the card's effectiveFrom
+   * @param {Object} options - pendingApproval: the version is a revision that only takes
+   *   effect once the card is approved again; it becomes the card's pending version
    * @returns {RateCardVersion} The new version
    */
-  createNewVersion() {
-    // Get the latest version number
-    const versionNumber = 1; // In real implementation, would get latest + 1
+  createNewVersion(effectiveFrom = this.effectiveFrom, { pendingApproval = false } = {}) {
+    // Version numbers are sequential per rate card
+    const versionNumber = this.latestVersionNumber + 1;
     
     const version = new RateCardVersion({
       rateCardId: this.id,
       versionNumber: versionNumber,
-      effectiveFrom: new Date(),
+      effectiveFrom: effectiveFrom,
       createdBy: this.updatedBy,
       createdAt: new Date(),
-      rateItems: JSON.parse(JSON.stringify(this.rateItems)) // Deep copy
+      status: pendingApproval ? RateCardVersionStatus.PENDING_APPROVAL : RateCardVersionStatus.PUBLISHED,
+      rateItems: JSON.parse(JSON.stringify(this.rateItems)), // Deep copy
+      currency: this.currency,
+      pricingRules: JSON.parse(JSON.stringify(this.pricingRules)),
+      roundingPolicy: { ...this.roundingPolicy },
+      multiStopMode: this.multiStopMode
     });
     
-    this.currentVersionId = version.id;
+    if (pendingApproval) {
+      this.pendingVersionId = version.id;
+    } else {
+      this.currentVersionId = version.id;
+    }
+    this.latestVersionNumber = versionNumber;
     return version;
   }
 
+  /**
+   * Record a user as one of the makers of the card's pending revision
+   * @param {string} userId - The user
+   */
+  addReviser(userId) {
+    if (!this.revisedBy.includes(userId)) {
+      this.revisedBy.push(userId);
+    }
+  }
+
+  /**
+   * Check if this rate card has a revision awaiting approval. Such a card has been approved
+   * before, and its current version stays in force whatever its status.
+   * @returns {boolean} True if a pending version exists
+   */
+  isUnderRevision() {
+    return this.pendingVersionId !== null;
+  }
+
   /**
    * Check if rate card is currently active
+   * @param {Date} asOf - Point in time to check (defaults to now)
    * @returns {boolean} True if active
    */
-  isActive() {
-    const now = new Date();
-    return (
-      this.status === RateCardStatus.ACTIVE &&
-      this.effectiveFrom <= now &&
-      (!this.effectiveTo || this.effectiveTo >= now)
-    );
+  isActive(asOf = new Date()) {
+    return this.status === RateCardStatus.ACTIVE && this.isEffectiveOn(asOf);
+  }
+
+  /**
+   * Check if the card's effective date range covers a date, regardless of status
+   * @param {Date} date - The date to check
+   * @returns {boolean} True if effectiveFrom <= date <= effectiveTo (open-ended if no effectiveTo)
+   */
+  isEffectiveOn(date) {
+    return this.effectiveFrom <= date && (!this.effectiveTo || this.effectiveTo >= date);
   }
 
   /**
    * Check if rate card is expired
+   * @param {Date} asOf - Point in time to check (defaults to now)
    * @returns {boolean} True if expired
    */
-  isExpired() {
-    const now = new Date();
-    return this.effectiveTo && this.effectiveTo < now;
+  isExpired(asOf = new Date()) {
+    return this.effectiveTo && this.effectiveTo < asOf;
   }
 
   /**
@@ -146,4 +341,23 @@ class RateCard {
   }
 }
 
+/**
+ * Reference data shared by everything rating a trip; every property is optional
+ * @typedef {Object} RatingContext
+ * @property {LocationHierarchy} locationHierarchy - Location groups and parents lanes are matched against
+ * @property {VehicleClass[]} vehicleClasses - Vehicle classes lanes may name
+ * @property {RateItemIndex} rateItemIndex - Lane index of the card's items, to narrow the candidates
+ * @property {ZoneMaster} zoneMaster - Zones for zone-based items
+ * @property {Object<string, string>} timeZones - IANA time zone by city or location code
+ * @property {string} defaultTimeZone - Time zone for locations not in timeZones (UTC if unset)
+ * @property {HolidayCalendar[]} holidayCalendars - Calendars temporal conditions refer to by name
+ * @property {FuelPriceIndex[]} fuelPriceIndexes - Indexes fuel adjustments take prices from
+ * @property {boolean} rejectAmbiguous - Throw rather than pick the first of tied rate items
+ * @property {string} billingCurrency - Currency to convert the result to
+ * @property {ExchangeRateTable} exchangeRates - Rates for the billingCurrency conversion
+ * @property {PricingRule[]} pricingRules - Card-level rules, set by the rate card for its items
+ * @property {RoundingPolicy} roundingPolicy - Card rounding policy, set by the rate card for its items
+ * @property {string} currency - Card currency, set by the rate card for its items
+ */
+
 module.exports = RateCard;
\ No newline at end of file
@@ -7,41 +7,312 @@ class RateCardVersion {
     rateCardId,
     versionNumber,
     effectiveFrom,
+    effectiveTo = null,
     createdBy,
     createdAt = new Date(),
-    rateItems = []
+    rateItems = [],
+    status = RateCardVersionStatus.PUBLISHED,
+    restoredFromVersionNumber = null,
+    currency = null,
+    pricingRules = null,
+    roundingPolicy = null,
+    multiStopMode = null
   }) {
     this.id = id || generateUUID();
     this.rateCardId = rateCardId;
     this.versionNumber = versionNumber;
     this.effectiveFrom = effectiveFrom instanceof Date ? effectiveFrom : new Date(effectiveFrom);
+    this.effectiveTo = effectiveTo ? (effectiveTo instanceof Date ? effectiveTo : new Date(effectiveTo)) : null;
     this.createdBy = createdBy;
     this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt);
+    this.status = status;
     this.rateItems = rateItems;
+    this.restoredFromVersionNumber = restoredFromVersionNumber;
+    this.currency = currency; // Currency the version's rates are quoted in; null on versions saved before it was recorded
+    // Card-level settings as of this version (plain data); null on versions saved before they were recorded
+    this.pricingRules = pricingRules;
+    this.roundingPolicy = roundingPolicy;
+    this.multiStopMode = multiStopMode;
   }
 
   /**
-   * Restore this version as the current version of the rate card
-   * @returns {void}
+   * Check if this version's rates apply on a date
+   * @param {Date} date - The date to check
+   * @returns {boolean} True if the version is published and effectiveFrom <= date <= effectiveTo
+   *   (open-ended if no effectiveTo)
+   */
+  isEffectiveOn(date) {
+    return this.status === RateCardVersionStatus.PUBLISHED &&
+      this.effectiveFrom <= date &&
+      (!this.effectiveTo || this.effectiveTo >= date);
+  }
+
+  /**
+   * Make way for a version taking effect on a date: end this version the moment before,
+   * or supersede it entirely if it would not have taken effect by then
+   * @param {Date} date - Date the newer version takes effect
+   * @returns {boolean} True if this version changed and needs saving
+   */
+  closeBefore(date) {
+    if (this.effectiveFrom >= date) {
+      this.status = RateCardVersionStatus.SUPERSEDED;
+      return true;
+    }
+    
+    const closedAt = new Date(date.getTime() - 1);
+    if (!this.effectiveTo || this.effectiveTo > closedAt) {
+      this.effectiveTo = closedAt;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get this version's rate items as item data, ready to be rehydrated into a new draft
+   * (see RateCardService.restoreVersion)
+   * @returns {RateItemDTO[]} Deep copy of the version's rate items
    */
   restore() {
-    // This would be implemented with repository calls in a real implementation
-    console.log(`Restoring version ${this.versionNumber} for rate card ${this.rateCardId}`);
+    return JSON.parse(JSON.stringify(this.rateItems));
   }
 
   /**
-   * Compare this version with another version
-   * @param {string} versionId - ID of the version to compare with
-   * @returns {VersionDifference} Difference between versions
+   * Compare this version with another version. Items are matched by ID first, then by
+   * lane (service code, origin, destination, vehicle type) when the lane is unique.
+   * @param {RateCardVersion} otherVersion - The version to compare with (the newer side)
+   * @returns {VersionDifference} Items added, removed and modified going from this version
+   *   to the other, plus a human-readable summary
    */
-  compare(versionId) {
-    // In a real implementation, would fetch the other version and compare
+  compare(otherVersion) {
+    const unmatchedOld = [...this.rateItems];
+    const unmatchedNew = [...otherVersion.rateItems];
+    const pairs = [];
+    
+    // Match by identity
+    for (const newItem of [...unmatchedNew]) {
+      const oldItem = unmatchedOld.find(item => item.id && item.id === newItem.id);
+      if (oldItem) {
+        pairs.push([oldItem, newItem]);
+        unmatchedOld.splice(unmatchedOld.indexOf(oldItem), 1);
+        unmatchedNew.splice(unmatchedNew.indexOf(newItem), 1);
+      }
+    }
+    
+    // Match the rest by lane, where the lane identifies a single item on each side
+    for (const newItem of [...unmatchedNew]) {
+      const key = laneKey(newItem);
+      const oldCandidates = unmatchedOld.filter(item => laneKey(item) === key);
+      const newCandidates = unmatchedNew.filter(item => laneKey(item) === key);
+      if (oldCandidates.length === 1 && newCandidates.length === 1) {
+        pairs.push([oldCandidates[0], newItem]);
+        unmatchedOld.splice(unmatchedOld.indexOf(oldCandidates[0]), 1);
+        unmatchedNew.splice(unmatchedNew.indexOf(newItem), 1);
+      }
+    }
+    
+    const modifiedItems = pairs
+      .map(([oldItem, newItem]) => ({
+        itemId: newItem.id,
+        previousItemId: oldItem.id,
+        lane: laneLabel(newItem),
+        changes: diffItem(oldItem, newItem)
+      }))
+      .filter(item => item.changes.length > 0);
+    
+    const summary = [
+      ...unmatchedNew.map(item => `Added ${laneLabel(item)}: ${item.rateType} ${item.baseRate}`),
+      ...unmatchedOld.map(item => `Removed ${laneLabel(item)}`),
+      ...modifiedItems.map(item => `Modified ${item.lane}: ${item.changes.map(describeChange).join('; ')}`)
+    ];
+    if (this.currency && otherVersion.currency && this.currency !== otherVersion.currency) {
+      summary.unshift(`Currency changed from ${this.currency} to ${otherVersion.currency}`);
+    }
+    if (this.pricingRules && otherVersion.pricingRules && !sameValue(this.pricingRules, otherVersion.pricingRules)) {
+      summary.push('Card pricing rules changed');
+    }
+    if (this.roundingPolicy && otherVersion.roundingPolicy && !sameValue(this.roundingPolicy, otherVersion.roundingPolicy)) {
+      summary.push('Rounding policy changed');
+    }
+    if (this.multiStopMode && otherVersion.multiStopMode && this.multiStopMode !== otherVersion.multiStopMode) {
+      summary.push(`Multi-stop mode changed from ${this.multiStopMode} to ${otherVersion.multiStopMode}`);
+    }
+    
     return {
-      addedItems: [],
-      removedItems: [],
-      modifiedItems: []
+      fromVersion: this.versionNumber,
+      toVersion: otherVersion.versionNumber,
+      addedItems: unmatchedNew,
+      removedItems: unmatchedOld,
+      modifiedItems,
+      summary
     };
   }
 }
 
+/**
+ * Fields compared as plain values; numeric price fields also get a percentage delta
+ */
+const PRICE_FIELDS = ['baseRate', 'minCharge'];
+const VALUE_FIELDS = [
+  'serviceCode', 'origin', 'destination', 'vehicleType',
+  'rateType', 'priority', 'slabParameter', 'slabMode', 'bidirectional'
+];
+const COLLECTION_FIELDS = ['conditions', 'slabs', 'zoneRates', 'pricingRules'];
+
+/**
+ * @param {RateItem} item - A rate item
+ * @returns {string} Key identifying the item's lane
+ */
+function laneKey(item) {
+  return [item.serviceCode, item.origin, item.destination, item.vehicleType].join('|');
+}
+
+/**
+ * @param {RateItem} item - A rate item
+ * @returns {string} Readable lane description
+ */
+function laneLabel(item) {
+  const service = item.serviceCode ? ` ${item.serviceCode}` : '';
+  return `${item.origin} -> ${item.destination} (${item.vehicleType}${service})`;
+}
+
+/**
+ * Percentage change between two amounts
+ * @param {number} from - Previous amount
+ * @param {number} to - New amount
+ * @returns {number|null} Change in percent, rounded to 2 decimals; null if the previous amount is zero
+ */
+function percentChange(from, to) {
+  if (!from) {
+    return null;
+  }
+  return Money.of(to).subtract(from).multiply(100).divide(from).round(2).toNumber();
+}
+
+/**
+ * Strip generated identifiers so entries that only differ by ID compare equal
+ * @param {*} value - A value from a rate item
+ * @returns {*} The value without id, rateItemId and rateCardId keys
+ */
+function withoutIds(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutIds);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      if (!['id', 'rateItemId', 'rateCardId'].includes(key)) {
+        result[key] = withoutIds(value[key]);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal, ignoring generated IDs
+ */
+function sameValue(a, b) {
+  return JSON.stringify(withoutIds(a)) === JSON.stringify(withoutIds(b));
+}
+
+/**
+ * List field-level changes between two versions of a rate item
+ * @param {RateItem} oldItem - The item in the older version
+ * @param {RateItem} newItem - The item in the newer version
+ * @returns {Array<FieldChange>} The changes
+ */
+function diffItem(oldItem, newItem) {
+  const changes = [];
+
+  for (const field of PRICE_FIELDS) {
+    if (oldItem[field] !== newItem[field]) {
+      changes.push({
+        field,
+        from: oldItem[field],
+        to: newItem[field],
+        percentChange: percentChange(oldItem[field], newItem[field])
+      });
+    }
+  }
+
+  for (const field of VALUE_FIELDS) {
+    if (!sameValue(oldItem[field], newItem[field])) {
+      changes.push({ field, from: oldItem[field], to: newItem[field] });
+    }
+  }
+
+  for (const field of COLLECTION_FIELDS) {
+    if (!sameValue(oldItem[field] || [], newItem[field] || [])) {
+      changes.push({ field, from: oldItem[field] || [], to: newItem[field] || [] });
+    }
+  }
+
+  // Additional charges are matched by name so each one reports its own price change
+  const oldCharges = oldItem.additionalCharges || [];
+  const newCharges = newItem.additionalCharges || [];
+  for (const newCharge of newCharges) {
+    const oldCharge = oldCharges.find(charge => charge.name === newCharge.name);
+    if (!oldCharge) {
+      changes.push({ field: 'additionalCharges', name: newCharge.name, from: null, to: newCharge });
+    } else if (!sameValue(oldCharge, newCharge)) {
+      changes.push({
+        field: 'additionalCharges',
+        name: newCharge.name,
+        from: oldCharge,
+        to: newCharge,
+        percentChange: oldCharge.isPercentage === newCharge.isPercentage
+          ? percentChange(oldCharge.value, newCharge.value)
+          : null
+      });
+    }
+  }
+  for (const oldCharge of oldCharges) {
+    if (!newCharges.some(charge => charge.name === oldCharge.name)) {
+      changes.push({ field: 'additionalCharges', name: oldCharge.name, from: oldCharge, to: null });
+    }
+  }
+
+  if (!sameValue(oldItem.fuelAdjustment || {}, newItem.fuelAdjustment || {})) {
+    changes.push({ field: 'fuelAdjustment', from: oldItem.fuelAdjustment, to: newItem.fuelAdjustment });
+  }
+
+  // Items saved before chargeable weight rules existed have none; compare them as the default rule
+  const oldRule = new ChargeableWeightRule(oldItem.chargeableWeightRule || {});
+  const newRule = new ChargeableWeightRule(newItem.chargeableWeightRule || {});
+  if (!sameValue(oldRule, newRule)) {
+    changes.push({ field: 'chargeableWeightRule', from: oldItem.chargeableWeightRule, to: newItem.chargeableWeightRule });
+  }
+
+  return changes;
+}
+
+/**
+ * @param {FieldChange} change - A field change
+ * @returns {string} Readable description of the change
+ */
+function describeChange(change) {
+  const delta = change.percentChange === null || change.percentChange === undefined
+    ? ''
+    : ` (${change.percentChange > 0 ? '+' : ''}${change.percentChange.toFixed(2)}%)`;
+
+  if (change.field === 'additionalCharges') {
+    if (!change.from) {
+      return `added charge ${change.name}`;
+    }
+    if (!change.to) {
+      return `removed charge ${change.name}`;
+    }
+    return `charge ${change.name} ${change.from.value} -> ${change.to.value}${delta}`;
+  }
+
+  if (PRICE_FIELDS.includes(change.field) || VALUE_FIELDS.includes(change.field)) {
+    return `${change.field} ${change.from} -> ${change.to}${delta}`;
+  }
+
+  return `${change.field} changed`;
+}
+
 module.exports = RateCardVersion;
\ No newline at end of file
@@ -1,73 +1,261 @@
 /**
  * RateCondition model - Represents a condition for applying a rate item
  */
+
+// Operators that read a timestamp parameter in a location's local time
+const TEMPORAL_OPERATORS = [
+  ConditionOperator.TIME_BETWEEN,
+  ConditionOperator.DAY_OF_WEEK_IN,
+  ConditionOperator.DATE_BETWEEN,
+  ConditionOperator.IS_HOLIDAY
+];
+
 class RateCondition {
   constructor({
     id = null,
     rateItemId,
     parameter,
     operator,
-    value
+    value,
+    valueType = null,
+    timeZoneLocation = null
   }) {
     this.id = id || generateUUID();
     this.rateItemId = rateItemId;
     this.parameter = parameter;
     this.operator = operator;
     this.value = value;
+    this.valueType = valueType;
+    this.timeZoneLocation = timeZoneLocation;
   }
 
   /**
    * Evaluate if the condition is met for the given trip data
    * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data; temporal operators use timeZones,
+   *   defaultTimeZone and holidayCalendars
    * @returns {boolean} True if condition is met
+   * @throws {RatingError} If an IS_HOLIDAY calendar or a location's time zone is not known
    */
-  evaluate(tripData) {
-    // Get the parameter value from trip data
-    const paramValue = tripData[this.parameter];
+  evaluate(tripData, context = {}) {
+    // Get the parameter value from trip data; dotted paths reach nested values
+    const paramValue = resolvePath(tripData, this.parameter);
     
-    if (paramValue === undefined) {
+    if (paramValue === undefined || paramValue === null) {
       return false; // Parameter not found
     }
     
+    if (TEMPORAL_OPERATORS.includes(this.operator)) {
+      return this.evaluateTemporal(paramValue, tripData, context);
+    }
+    
+    // Compare as the declared type, or as the type of the trip value
+    const valueType = this.valueType || typeOf(paramValue);
+    const tripValue = coerce(paramValue, valueType);
+    const equalsTripValue = value => sameValue(tripValue, coerce(value, valueType));
+    
     // Evaluate based on operator
     switch (this.operator) {
       case ConditionOperator.EQUALS:
-        return paramValue == this.value;
+        return equalsTripValue(this.value);
         
       case ConditionOperator.NOT_EQUALS:
-        return paramValue != this.value;
+        return !equalsTripValue(this.value);
         
       case ConditionOperator.GREATER_THAN:
-        return paramValue > parseFloat(this.value);
+        return coerce(paramValue, ConditionValueType.NUMBER) > coerce(this.value, ConditionValueType.NUMBER);
         
       case ConditionOperator.LESS_THAN:
-        return paramValue < parseFloat(this.value);
+        return coerce(paramValue, ConditionValueType.NUMBER) < coerce(this.value, ConditionValueType.NUMBER);
         
       case ConditionOperator.GREATER_THAN_EQUAL:
-        return paramValue >= parseFloat(this.value);
+        return coerce(paramValue, ConditionValueType.NUMBER) >= coerce(this.value, ConditionValueType.NUMBER);
         
       case ConditionOperator.LESS_THAN_EQUAL:
-        return paramValue <= parseFloat(this.value);
+        return coerce(paramValue, ConditionValueType.NUMBER) <= coerce(this.value, ConditionValueType.NUMBER);
         
       case ConditionOperator.BETWEEN:
-        const [min, max] = this.value.split(',').map(v => parseFloat(v.trim()));
-        return paramValue >= min && paramValue <= max;
+        const [min, max] = toList(this.value).map(v => coerce(v, ConditionValueType.NUMBER));
+        const number = coerce(paramValue, ConditionValueType.NUMBER);
+        return number >= min && number <= max;
         
       case ConditionOperator.IN:
-        const values = this.value.split(',').map(v => v.trim());
-        return values.includes(paramValue.toString());
+        return toList(this.value).some(equalsTripValue);
         
       case ConditionOperator.NOT_IN:
-        const excludedValues = this.value.split(',').map(v => v.trim());
-        return !excludedValues.includes(paramValue.toString());
+        return !toList(this.value).some(equalsTripValue);
         
       case ConditionOperator.CONTAINS:
+        if (Array.isArray(paramValue)) {
+          return paramValue.some(element => sameValue(element, coerce(this.value, typeOf(element))));
+        }
         return paramValue.toString().includes(this.value);
         
       default:
         throw new Error(`Unsupported condition operator: ${this.operator}`);
     }
   }
+
+  /**
+   * Evaluate a temporal operator against a timestamp, read in the local time of the
+   * location at timeZoneLocation (the trip's origin by default).
+   * TIME_BETWEEN takes "from,to" times of day; the window includes from but not to,
+   * and wraps past midnight when to is earlier (e.g. "22:00,06:00").
+   * DAY_OF_WEEK_IN takes days such as "SAT,SUN"; DATE_BETWEEN takes inclusive local
+   * dates "YYYY-MM-DD,YYYY-MM-DD"; IS_HOLIDAY takes a holiday calendar name.
+   * @param {*} timestamp - The parameter value
+   * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data (timeZones, defaultTimeZone, holidayCalendars)
+   * @returns {boolean} True if condition is met; false if the value is not a valid timestamp
+   * @throws {RatingError} If the holiday calendar or the location's time zone is not known
+   */
+  evaluateTemporal(timestamp, tripData, context) {
+    const location = resolvePath(tripData, this.timeZoneLocation || 'origin');
+    const timeZone = resolveTimeZone(location, context);
+    
+    let local;
+    try {
+      local = localDateTime(timestamp, timeZone);
+    } catch (error) {
+      throw new RatingError(
+        `Unknown time zone ${timeZone} for trip ${tripData.id}`,
+        RatingErrorCode.UNKNOWN_TIME_ZONE,
+        { tripId: tripData.id, timeZone }
+      );
+    }
+    
+    if (!local) {
+      return false; // Not a timestamp
+    }
+    
+    switch (this.operator) {
+      case ConditionOperator.TIME_BETWEEN:
+        const [from, to] = toList(this.value).map(parseTimeOfDay);
+        return from <= to
+          ? local.minutes >= from && local.minutes < to
+          : local.minutes >= from || local.minutes < to;
+          
+      case ConditionOperator.DAY_OF_WEEK_IN:
+        return toList(this.value).map(parseDayOfWeek).includes(local.dayOfWeek);
+        
+      case ConditionOperator.DATE_BETWEEN:
+        const [firstDate, lastDate] = toList(this.value);
+        return local.date >= firstDate && local.date <= lastDate;
+        
+      default:
+        return findHolidayCalendar(context, this.value).isHoliday(local.date);
+    }
+  }
+
+  /**
+   * Describe this condition
+   * @returns {string} e.g. "cargo.weight GREATER_THAN 100", or "deliveryTime IS_HOLIDAY IN-MH @destination"
+   *   for a temporal condition read at a location other than the origin
+   */
+  describe() {
+    const value = Array.isArray(this.value) ? this.value.join(',') : this.value;
+    const location = this.timeZoneLocation ? ` @${this.timeZoneLocation}` : '';
+    return `${this.parameter} ${this.operator} ${value}${location}`;
+  }
+}
+
+/**
+ * Get the time zone of a trip location: its own timeZone if it carries one, else the
+ * zone configured for it in context.timeZones (keyed by city or location code), else
+ * context.defaultTimeZone, else UTC
+ * @param {string|Location} location - The location
+ * @param {RatingContext} context - Shared reference data
+ * @returns {string} IANA time zone
+ */
+function resolveTimeZone(location, context) {
+  if (location && typeof location === 'object' && location.timeZone) {
+    return location.timeZone;
+  }
+
+  const key = location && typeof location === 'object' ? location.city : location;
+  const timeZones = context.timeZones || {};
+  const timeZone = key && (timeZones[key] || timeZones[String(key).toUpperCase()]);
+  return timeZone || context.defaultTimeZone || 'UTC';
+}
+
+/**
+ * Find a holiday calendar by name among those supplied for rating
+ * @param {RatingContext} context - Shared reference data, with holidayCalendars
+ * @param {string} name - Calendar name
+ * @returns {HolidayCalendar} The calendar
+ * @throws {RatingError} If no calendar has the name
+ */
+function findHolidayCalendar(context, name) {
+  const calendar = (context.holidayCalendars || []).find(candidate => candidate.name === String(name).trim());
+  if (!calendar) {
+    throw new RatingError(
+      `Holiday calendar ${name} is not available for rating`,
+      RatingErrorCode.HOLIDAY_CALENDAR_NOT_FOUND,
+      { calendar: name }
+    );
+  }
+  return calendar;
+}
+
+/**
+ * Get the comparison type of a trip value
+ * @param {*} value - The value
+ * @returns {ConditionValueType} The type
+ */
+function typeOf(value) {
+  if (typeof value === 'number') {
+    return ConditionValueType.NUMBER;
+  }
+  if (typeof value === 'boolean') {
+    return ConditionValueType.BOOLEAN;
+  }
+  return ConditionValueType.STRING;
+}
+
+/**
+ * Convert a value to a comparison type. Values that don't convert become NaN (numbers)
+ * or undefined (booleans), which never compare equal.
+ * @param {*} value - The value
+ * @param {ConditionValueType} valueType - The type
+ * @returns {number|boolean|string|undefined} The converted value
+ */
+function coerce(value, valueType) {
+  switch (valueType) {
+    case ConditionValueType.NUMBER:
+      if (typeof value === 'number') {
+        return value;
+      }
+      return String(value).trim() === '' ? NaN : Number(value);
+      
+    case ConditionValueType.BOOLEAN:
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      return text === 'true' ? true : text === 'false' ? false : undefined;
+      
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Strict equality for converted values (NaN and undefined never match)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function sameValue(a, b) {
+  return a !== undefined && a === b;
+}
+
+/**
+ * Read a list value, given as an array or a comma-separated string
+ * @param {Array|string} value - The value
+ * @returns {Array} The list items
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim());
 }
 
 module.exports = RateCondition;
\ No newline at end of file
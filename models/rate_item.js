@@ -1,6 +1,17 @@
 /**
- * RateItem model - Represents a specific pricing rule within a rate card
+ * RateItem model - Represents a specific pricing rule within a rate card.
+ * The lane (origin, destination, vehicle type) is a set of patterns: see LocationHierarchy
+ * for the location patterns and VehicleClass for vehicle classes. A bidirectional lane
+ * also applies from destination to origin.
  */
+
+// Vehicle type patterns, on the same scale as LocationHierarchy.specificity
+const VEHICLE_SPECIFICITY = Object.freeze({
+  WILDCARD: 0,
+  CLASS: 3,
+  EXACT: 6
+});
+
 class RateItem {
   constructor({
     id = null,
@@ -14,7 +25,15 @@ class RateItem {
     minCharge = 0,
     additionalCharges = [],
     conditions = [],
-    fuelAdjustment = new FuelAdjustment()
+    fuelAdjustment = new FuelAdjustment(),
+    slabs = [],
+    slabParameter = 'weight',
+    slabMode = SlabMode.WHOLE,
+    zoneRates = [],
+    priority = 0,
+    pricingRules = [],
+    chargeableWeightRule = new ChargeableWeightRule(),
+    bidirectional = false
   }) {
     this.id = id || generateUUID();
     this.rateCardId = rateCardId;
@@ -28,51 +47,64 @@ class RateItem {
     this.additionalCharges = additionalCharges;
     this.conditions = conditions;
     this.fuelAdjustment = fuelAdjustment;
+    this.slabs = slabs;
+    this.slabParameter = slabParameter;
+    this.slabMode = slabMode;
+    this.zoneRates = zoneRates;
+    this.priority = parseInt(priority, 10) || 0;
+    this.pricingRules = pricingRules;
+    this.chargeableWeightRule = chargeableWeightRule;
+    this.bidirectional = Boolean(bidirectional);
   }
 
   /**
    * Calculate charge for a trip using this rate item
    * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data (e.g. zoneMaster, card-level pricingRules,
+   *   fuelPriceIndexes)
    * @returns {ChargeCalculation} The calculated charge details
    */
-  calculateCharge(tripData) {
+  calculateCharge(tripData, context = {}) {
     // Check if all conditions are met
-    const allConditionsMet = this.conditions.every(condition => 
-      condition.evaluate(tripData)
-    );
-    
-    if (!allConditionsMet) {
+    if (!this.conditionsMet(tripData, context)) {
       throw new Error("Trip does not meet all rate conditions");
     }
     
     // Calculate base charge based on rate type
-    let baseCharge = 0;
+    let baseCharge = Money.zero();
+    let chargeableQuantity = null;
     
     switch (this.rateType) {
       case RateType.FIXED:
-        baseCharge = this.baseRate;
+        baseCharge = Money.of(this.baseRate);
         break;
         
       case RateType.PER_KM:
-        baseCharge = this.baseRate * tripData.distance;
+        baseCharge = Money.of(this.baseRate).multiply(this.getTripQuantity(tripData, 'distance'));
         break;
         
       case RateType.PER_KG:
-        baseCharge = this.baseRate * tripData.weight;
+        chargeableQuantity = this.chargeableWeightRule.measure(tripData, 'weight');
+        baseCharge = Money.of(this.baseRate).multiply(chargeableQuantity.chargeable);
         break;
         
       case RateType.PER_CBM:
-        baseCharge = this.baseRate * tripData.volume;
+        chargeableQuantity = this.chargeableWeightRule.measure(tripData, 'volume');
+        baseCharge = Money.of(this.baseRate).multiply(chargeableQuantity.chargeable);
         break;
         
       case RateType.SLAB_BASED:
-        // In a real implementation, would have slab calculation logic
-        baseCharge = this.baseRate;
+        // Weight and volume slabs are looked up on the chargeable quantity
+        if (this.slabParameter === 'weight' || this.slabParameter === 'volume') {
+          chargeableQuantity = this.chargeableWeightRule.measure(tripData, this.slabParameter);
+          baseCharge = this.calculateSlabCharge(tripData, chargeableQuantity.chargeable);
+        } else {
+          baseCharge = this.calculateSlabCharge(tripData);
+        }
         break;
         
       case RateType.ZONE_BASED:
-        // In a real implementation, would have zone lookup logic
-        baseCharge = this.baseRate;
+        baseCharge = this.calculateZoneCharge(tripData, context.zoneMaster);
         break;
         
       default:
@@ -80,47 +112,260 @@ class RateItem {
     }
     
     // Apply minimum charge if needed
-    if (baseCharge < this.minCharge) {
-      baseCharge = this.minCharge;
+    if (baseCharge.lessThan(this.minCharge)) {
+      baseCharge = Money.of(this.minCharge);
     }
     
     // Calculate additional charges
     const additionalCharges = new Map();
+    const additionalChargeTypes = new Map();
+    const additionalChargeQuantities = new Map();
     for (const charge of this.additionalCharges) {
-      const chargeAmount = charge.calculate(baseCharge, tripData);
-      additionalCharges.set(charge.name, chargeAmount);
+      const { amount, quantity } = charge.calculateDetail(baseCharge, tripData, context);
+      additionalCharges.set(charge.name, amount);
+      additionalChargeTypes.set(charge.name, charge.type);
+      if (quantity) {
+        additionalChargeQuantities.set(charge.name, quantity);
+      }
     }
     
-    // Apply fuel adjustment
-    const fuelAdjustment = this.fuelAdjustment.calculate(baseCharge);
+    // Apply fuel adjustment, on the base charge alone or with the additional charges
+    const fuelBasis = this.fuelAdjustment.basis === FuelAdjustmentBasis.BASE_AND_ACCESSORIALS
+      ? baseCharge.add(Money.sum(additionalCharges.values()))
+      : baseCharge;
+    const fuelAdjustment = this.fuelAdjustment.calculate(fuelBasis, tripData.tripDate || new Date(), context);
+    
+    // Apply discount and surcharge rules
+    const subtotal = baseCharge.add(fuelAdjustment).add(Money.sum(additionalCharges.values()));
+    const { discounts, surcharges } = this.applyPricingRules(
+      baseCharge,
+      subtotal,
+      tripData,
+      context.pricingRules || [],
+      context
+    );
     
     // Create charge calculation result
     const chargeCalculation = new ChargeCalculation({
       baseCharge,
       additionalCharges,
+      additionalChargeTypes,
+      additionalChargeQuantities,
+      chargeableQuantity,
       fuelAdjustment,
-      discounts: new Map(), // In a real implementation, would calculate discounts
-      surcharges: new Map() // In a real implementation, would calculate surcharges
+      discounts,
+      surcharges,
+      roundingPolicy: context.roundingPolicy,
+      currency: context.currency
     });
     
     return chargeCalculation;
   }
 
+  /**
+   * Apply discount and surcharge rules in order: by sequence, with this item's rules
+   * ahead of card-level rules of the same sequence. Each rule sees the subtotal left
+   * by the rules before it.
+   * @param {Money} baseCharge - The base charge after minimum charge
+   * @param {Money} subtotal - Base charge plus additional charges and fuel adjustment
+   * @param {TripData} tripData - Data about the trip
+   * @param {PricingRule[]} cardRules - Rules defined on the rate card
+   * @param {RatingContext} context - Shared reference data
+   * @returns {{discounts: Map<string, Money>, surcharges: Map<string, Money>}} Applied amounts by rule name
+   */
+  applyPricingRules(baseCharge, subtotal, tripData, cardRules, context = {}) {
+    const discounts = new Map();
+    const surcharges = new Map();
+    
+    const rules = [...this.pricingRules, ...cardRules].sort((a, b) => a.sequence - b.sequence);
+    
+    for (const rule of rules) {
+      const amount = rule.calculate(baseCharge, subtotal, tripData, context);
+      if (amount.isZero()) {
+        continue;
+      }
+      
+      if (rule.ruleType === PricingRuleType.DISCOUNT) {
+        discounts.set(rule.name, amount.add(discounts.get(rule.name) || 0));
+        subtotal = subtotal.subtract(amount);
+      } else {
+        surcharges.set(rule.name, amount.add(surcharges.get(rule.name) || 0));
+        subtotal = subtotal.add(amount);
+      }
+    }
+    
+    return { discounts, surcharges };
+  }
+
+  /**
+   * Calculate the slab-based charge for a trip
+   * @param {TripData} tripData - Data about the trip
+   * @param {number} quantity - Quantity to price; defaults to the trip's slab parameter
+   * @returns {Money} The charge across the applicable slabs
+   * @throws {Error} If the slab parameter is missing or no slab covers the quantity
+   */
+  calculateSlabCharge(tripData, quantity = this.getTripQuantity(tripData, this.slabParameter)) {
+    if (this.slabs.length === 0) {
+      throw new Error(`No slabs defined for rate item: ${this.id}`);
+    }
+    
+    const slabs = [...this.slabs].sort((a, b) => a.minValue - b.minValue);
+    const covering = slabs.find(s => s.contains(quantity));
+    
+    // Incremental slabs must also meet each other below the quantity, or part of it goes unpriced
+    const gap = this.slabMode === SlabMode.INCREMENTAL && slabs.some((s, index) => index > 0 &&
+      s.minValue <= quantity && slabs[index - 1].maxValue !== null && s.minValue > slabs[index - 1].maxValue);
+    if (!covering || gap) {
+      throw new Error(`No slab covers ${this.slabParameter} ${quantity} for rate item: ${this.id}`);
+    }
+    
+    // Incremental: each slab prices only the part of the quantity that falls within it
+    if (this.slabMode === SlabMode.INCREMENTAL) {
+      let charge = Money.zero();
+      for (const slab of slabs) {
+        const portion = slab.portionOf(quantity);
+        if (portion > 0) {
+          charge = charge.add(slab.calculate(portion));
+        }
+      }
+      return charge;
+    }
+    
+    // Whole: the entire quantity is priced at the first slab that contains it
+    return covering.calculate(quantity);
+  }
+
+  /**
+   * Calculate the zone-based charge for a trip
+   * @param {TripData} tripData - Data about the trip
+   * @param {ZoneMaster} zoneMaster - Zone definitions used to map the trip's locations
+   * @returns {Money} The zone-to-zone rate
+   * @throws {RatingError} If a location is not mapped to a zone or the zone pair has no rate
+   */
+  calculateZoneCharge(tripData, zoneMaster) {
+    if (!zoneMaster) {
+      throw new RatingError(
+        `Zone master is required to rate zone-based item: ${this.id}`,
+        RatingErrorCode.ZONE_MASTER_MISSING
+      );
+    }
+    
+    const originZone = zoneMaster.resolveZone(tripData.origin);
+    const destinationZone = zoneMaster.resolveZone(tripData.destination);
+    
+    const zoneRate = this.zoneRates.find(rate => rate.matches(originZone.code, destinationZone.code));
+    if (!zoneRate) {
+      throw new RatingError(
+        `No zone rate from ${originZone.code} to ${destinationZone.code} for rate item: ${this.id}`,
+        RatingErrorCode.ZONE_RATE_NOT_FOUND,
+        { originZone: originZone.code, destinationZone: destinationZone.code }
+      );
+    }
+    
+    return Money.of(zoneRate.rate);
+  }
+
+  /**
+   * Read a numeric quantity (distance, weight, volume...) from trip data
+   * @param {TripData} tripData - Data about the trip
+   * @param {string} parameter - Name of the trip field
+   * @returns {number} The quantity
+   * @throws {Error} If the trip has no numeric value for the field
+   */
+  getTripQuantity(tripData, parameter) {
+    const quantity = parseFloat(tripData[parameter]);
+    if (isNaN(quantity)) {
+      throw new Error(`Trip is missing ${parameter}`);
+    }
+    return quantity;
+  }
+
+  /**
+   * Check if all conditions of this rate item are met
+   * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data
+   * @returns {boolean} True if every condition holds (or there are none)
+   */
+  conditionsMet(tripData, context = {}) {
+    return this.conditions.every(condition => condition.evaluate(tripData, context));
+  }
+
+  /**
+   * Get how specific this item's lane is; exact values rank above hierarchy levels,
+   * ranges and groups, which rank above wildcards
+   * @param {RatingContext} context - Shared reference data, with the locationHierarchy that
+   *   tells a city from a state; without it, location codes count as exact values
+   * @returns {number} Specificity of origin, destination and vehicle type added together
+   */
+  specificity(context = {}) {
+    const hierarchy = context.locationHierarchy || new LocationHierarchy();
+    return hierarchy.specificity(this.origin) +
+      hierarchy.specificity(this.destination) +
+      vehicleSpecificity(this.vehicleType);
+  }
+
   /**
    * Check if this rate item matches the given criteria
-   * @param {string} origin - Trip origin
-   * @param {string} destination - Trip destination
+   * @param {string|Location} origin - Trip origin
+   * @param {string|Location} destination - Trip destination
    * @param {string} vehicleType - Vehicle type
-   * @returns {boolean} True if criteria match
+   * @param {RatingContext} context - Shared reference data (locationHierarchy, vehicleClasses)
+   * @returns {boolean} True if criteria match, in either direction for a bidirectional lane
+   * @throws {RatingError} If the lane refers to a location group or vehicle class that is not available
    */
-  matchesCriteria(origin, destination, vehicleType) {
-    // Simple exact matching - in a real implementation, would have more sophisticated matching
-    return (
-      (this.origin === '*' || this.origin === origin) &&
-      (this.destination === '*' || this.destination === destination) &&
-      (this.vehicleType === '*' || this.vehicleType === vehicleType)
+  matchesCriteria(origin, destination, vehicleType, context = {}) {
+    if (!matchesVehicle(this.vehicleType, vehicleType, context.vehicleClasses || [])) {
+      return false;
+    }
+    
+    const hierarchy = context.locationHierarchy || new LocationHierarchy();
+    const matchesLane = (from, to) =>
+      (this.origin === from || hierarchy.covers(this.origin, from)) &&
+      (this.destination === to || hierarchy.covers(this.destination, to));
+      
+    return matchesLane(origin, destination) || (this.bidirectional && matchesLane(destination, origin));
+  }
+}
+
+/**
+ * Get how specific a vehicle type pattern is
+ * @param {string} pattern - "*", "@class" or a vehicle type
+ * @returns {number} The specificity
+ */
+function vehicleSpecificity(pattern) {
+  if (isWildcard(pattern)) {
+    return VEHICLE_SPECIFICITY.WILDCARD;
+  }
+  return groupName(pattern) ? VEHICLE_SPECIFICITY.CLASS : VEHICLE_SPECIFICITY.EXACT;
+}
+
+/**
+ * Check if a vehicle type pattern covers a trip's vehicle type
+ * @param {string} pattern - "*", "@class" or a vehicle type
+ * @param {string} vehicleType - The trip's vehicle type
+ * @param {VehicleClass[]} vehicleClasses - Vehicle classes available for rating
+ * @returns {boolean} True if the vehicle type matches
+ * @throws {RatingError} If the pattern refers to a vehicle class that is not available
+ */
+function matchesVehicle(pattern, vehicleType, vehicleClasses) {
+  if (isWildcard(pattern) || pattern === vehicleType) {
+    return true;
+  }
+
+  const code = groupName(pattern);
+  if (!code) {
+    return false;
+  }
+
+  const vehicleClass = vehicleClasses.find(candidate => candidate.code === code);
+  if (!vehicleClass) {
+    throw new RatingError(
+      `Vehicle class ${code} is not available for rating`,
+      RatingErrorCode.VEHICLE_CLASS_NOT_FOUND,
+      { vehicleClass: code }
     );
   }
+  return vehicleClass.includes(vehicleType);
 }
 
 module.exports = RateItem;
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * RateItemIndex model - Indexes a rate card's items by lane and vehicle type, so the items
+ * that may apply to a trip are found without scanning every item on the card.
+ * Items are keyed by origin, destination and vehicle type; patterns that can't be keyed
+ * (wildcards, location groups, pincode ranges, vehicle classes) are keyed as "*" and are
+ * candidates for every trip. A trip is looked up by its locations and all their ancestors in
+ * the location hierarchy, so state and country lanes are found too. Bidirectional items
+ * are indexed both ways. Candidates still have to pass RateItem.matchesCriteria.
+ */
+
+const ANY = '*';
+
+class RateItemIndex {
+  /**
+   * Constructor
+   * @param {RateItem[]} rateItems - The card's rate items; the index is for this list as it is now
+   * @param {LocationHierarchy} locationHierarchy - Hierarchy the card is rated with (optional)
+   */
+  constructor(rateItems, locationHierarchy = null) {
+    this.rateItems = rateItems;
+    this.size = rateItems.length;
+    this.locationHierarchy = locationHierarchy;
+    this.buckets = new Map();
+    
+    const hierarchy = this._hierarchy();
+    rateItems.forEach((item, position) => {
+      const origin = locationKey(item.origin, hierarchy);
+      const destination = locationKey(item.destination, hierarchy);
+      const vehicleType = vehicleKey(item.vehicleType);
+      
+      this._add(bucketKey(origin, destination, vehicleType), position);
+      if (item.bidirectional) {
+        this._add(bucketKey(destination, origin, vehicleType), position);
+      }
+    });
+  }
+
+  /**
+   * Check if this index is for a list of rate items
+   * @param {RateItem[]} rateItems - The rate items
+   * @param {LocationHierarchy} locationHierarchy - Hierarchy the items are matched with
+   * @returns {boolean} True if the index was built from the same list, unchanged in length,
+   *   with the same hierarchy
+   */
+  isFor(rateItems, locationHierarchy = null) {
+    return this.rateItems === rateItems &&
+      this.size === rateItems.length &&
+      this.locationHierarchy === locationHierarchy;
+  }
+
+  /**
+   * Find the rate items that may apply to a trip
+   * @param {TripData} tripData - Data about the trip (origin, destination, vehicleType)
+   * @returns {RateItem[]} Candidate items, in their order on the card
+   */
+  candidates(tripData) {
+    const hierarchy = this._hierarchy();
+    const origins = [...hierarchy.lineage(tripData.origin), ANY];
+    const destinations = [...hierarchy.lineage(tripData.destination), ANY];
+    const vehicleTypes = [vehicleKey(tripData.vehicleType), ANY];
+    const positions = new Set();
+    
+    for (const origin of origins) {
+      for (const destination of destinations) {
+        for (const vehicleType of vehicleTypes) {
+          (this.buckets.get(bucketKey(origin, destination, vehicleType)) || []).forEach(position => positions.add(position));
+        }
+      }
+    }
+    
+    return [...positions].sort((a, b) => a - b).map(position => this.rateItems[position]);
+  }
+
+  /**
+   * Add an item position to a bucket
+   * @param {string} key - Bucket key
+   * @param {number} position - Position of the item on the card
+   * @private
+   */
+  _add(key, position) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, []);
+    }
+    this.buckets.get(key).push(position);
+  }
+
+  /**
+   * Get the hierarchy locations are keyed with
+   * @returns {LocationHierarchy} The rating hierarchy, or an empty one
+   * @private
+   */
+  _hierarchy() {
+    return this.locationHierarchy || new LocationHierarchy();
+  }
+}
+
+/**
+ * Get the index key of a location pattern
+ * @param {string} pattern - Origin or destination pattern of a rate item
+ * @param {LocationHierarchy} hierarchy - The location hierarchy
+ * @returns {string} The location's code, or "*" for patterns that can't be keyed
+ */
+function locationKey(pattern, hierarchy) {
+  if (isWildcard(pattern) || groupName(pattern) || parsePincodeRange(pattern)) {
+    return ANY;
+  }
+  return hierarchy.codeOf(pattern);
+}
+
+/**
+ * Get the index key of a vehicle type or vehicle type pattern
+ * @param {string} vehicleType - The vehicle type
+ * @returns {string} The vehicle type, or "*" for wildcards and vehicle classes
+ */
+function vehicleKey(vehicleType) {
+  return isWildcard(vehicleType) || groupName(vehicleType) ? ANY : String(vehicleType);
+}
+
+/**
+ * Build a bucket key
+ * @param {string} origin - Origin key
+ * @param {string} destination - Destination key
+ * @param {string} vehicleType - Vehicle type key
+ * @returns {string} The bucket key
+ */
+function bucketKey(origin, destination, vehicleType) {
+  return JSON.stringify([origin, destination, vehicleType]);
+}
+
+module.exports = RateItemIndex;
\ No newline at end of file
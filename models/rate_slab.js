@@ -0,0 +1,50 @@
+/**
+ * RateSlab model - Represents a single break (e.g. 100-500 kg) of a slab-based rate item
+ */
+class RateSlab {
+  constructor({
+    id = null,
+    rateItemId,
+    minValue = 0,
+    maxValue = null,
+    rate,
+    isFlat = false
+  }) {
+    this.id = id || generateUUID();
+    this.rateItemId = rateItemId;
+    this.minValue = parseFloat(minValue);
+    this.maxValue = maxValue === null || maxValue === undefined ? null : parseFloat(maxValue);
+    this.rate = parseFloat(rate);
+    this.isFlat = isFlat;
+  }
+
+  /**
+   * Check if a quantity falls within this slab (both bounds inclusive, open-ended if no max)
+   * @param {number} quantity - The trip quantity
+   * @returns {boolean} True if the quantity is within the slab
+   */
+  contains(quantity) {
+    return quantity >= this.minValue && (this.maxValue === null || quantity <= this.maxValue);
+  }
+
+  /**
+   * Get the part of a quantity that falls within this slab
+   * @param {number} quantity - The trip quantity
+   * @returns {number} The quantity attributable to this slab
+   */
+  portionOf(quantity) {
+    const upper = this.maxValue === null ? quantity : Math.min(quantity, this.maxValue);
+    return Math.max(0, upper - this.minValue);
+  }
+
+  /**
+   * Calculate the charge for a quantity priced at this slab
+   * @param {number} quantity - The quantity to price
+   * @returns {Money} The slab charge
+   */
+  calculate(quantity) {
+    return this.isFlat ? Money.of(this.rate) : Money.of(this.rate).multiply(quantity);
+  }
+}
+
+module.exports = RateSlab;
\ No newline at end of file
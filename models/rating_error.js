@@ -0,0 +1,18 @@
+/**
+ * RatingError - Raised when a trip cannot be rated
+ */
+class RatingError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {RatingErrorCode} code - Machine-readable reason
+   * @param {Object} details - Extra context about the failure
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'RatingError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = RatingError;
\ No newline at end of file
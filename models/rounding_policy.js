@@ -0,0 +1,32 @@
+/**
+ * RoundingPolicy model - Represents how a rate card rounds calculated amounts
+ */
+class RoundingPolicy {
+  constructor({
+    mode = RoundingMode.HALF_UP,
+    scale = 2,
+    strategy = RoundingStrategy.PER_LINE
+  } = {}) {
+    this.mode = mode;
+    this.scale = parseInt(scale, 10);
+    this.strategy = strategy;
+  }
+
+  /**
+   * Round an amount according to this policy
+   * @param {number|string|Money} amount - The amount to round
+   * @returns {Money} The rounded amount
+   */
+  round(amount) {
+    return Money.of(amount).round(this.scale, this.mode);
+  }
+
+  /**
+   * @returns {boolean} True if each line is rounded before totalling
+   */
+  roundsPerLine() {
+    return this.strategy === RoundingStrategy.PER_LINE;
+  }
+}
+
+module.exports = RoundingPolicy;
\ No newline at end of file
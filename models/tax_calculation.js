@@ -0,0 +1,48 @@
+/**
+ * TaxCalculation model - Represents the tax levied on a charge calculation
+ */
+class TaxCalculation {
+  constructor({
+    ruleName,
+    taxableValue,
+    exemptValue = 0,
+    components = [],
+    reverseCharge = false
+  }) {
+    this.ruleName = ruleName;
+    this.taxableValue = Money.of(taxableValue);
+    this.exemptValue = Money.of(exemptValue);
+    this.components = components.map(component => ({
+      name: component.name,
+      rate: component.rate,
+      amount: Money.of(component.amount)
+    }));
+    this.reverseCharge = reverseCharge;
+    this.totalTax = Money.sum(this.components.map(component => component.amount));
+  }
+
+  /**
+   * Get the tax the supplier collects on the invoice
+   * @returns {Money} Total tax, or zero under reverse charge (the recipient pays it)
+   */
+  payableTax() {
+    return this.reverseCharge ? Money.zero() : this.totalTax;
+  }
+
+  /**
+   * Get a breakdown of the tax
+   * @returns {TaxBreakdown} The tax breakdown
+   */
+  breakdown() {
+    return {
+      ruleName: this.ruleName,
+      taxableValue: this.taxableValue.toNumber(),
+      exemptValue: this.exemptValue.toNumber(),
+      components: this.components.map(({ name, rate, amount }) => ({ name, rate, amount: amount.toNumber() })),
+      totalTax: this.totalTax.toNumber(),
+      reverseCharge: this.reverseCharge
+    };
+  }
+}
+
+module.exports = TaxCalculation;
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * TaxRule model - Represents a tax (e.g. CGST+SGST, IGST or VAT) levied on rated charges
+ */
+class TaxRule {
+  constructor({
+    id = null,
+    name,
+    jurisdiction,
+    country = null,
+    components = [],
+    exemptChargeTypes = [],
+    exemptionConditions = [],
+    reverseCharge = false,
+    conditions = []
+  }) {
+    this.id = id || generateUUID();
+    this.name = name;
+    this.jurisdiction = jurisdiction;
+    this.country = country;
+    this.components = components.map(component => ({
+      name: component.name,
+      rate: parseFloat(component.rate)
+    }));
+    this.exemptChargeTypes = exemptChargeTypes;
+    this.exemptionConditions = exemptionConditions;
+    this.reverseCharge = reverseCharge;
+    this.conditions = conditions;
+  }
+
+  /**
+   * Check if this rule applies to a trip, based on where it starts and ends
+   * @param {TripData} tripData - Data about the trip (originState, destinationState, originCountry)
+   * @returns {boolean} True if the rule applies
+   */
+  appliesTo(tripData) {
+    if (this.country && tripData.originCountry !== this.country) {
+      return false;
+    }
+    
+    let jurisdictionMatches;
+    switch (this.jurisdiction) {
+      case TaxJurisdiction.INTRA_STATE:
+        jurisdictionMatches = Boolean(tripData.originState) && tripData.originState === tripData.destinationState;
+        break;
+        
+      case TaxJurisdiction.INTER_STATE:
+        jurisdictionMatches = Boolean(tripData.originState) && tripData.originState !== tripData.destinationState;
+        break;
+        
+      case TaxJurisdiction.COUNTRY:
+        jurisdictionMatches = true;
+        break;
+        
+      default:
+        throw new Error(`Unsupported tax jurisdiction: ${this.jurisdiction}`);
+    }
+    
+    return jurisdictionMatches && this.conditions.every(condition => condition.evaluate(tripData));
+  }
+
+  /**
+   * Check if a trip is exempt from this tax
+   * @param {TripData} tripData - Data about the trip
+   * @returns {boolean} True if exemption conditions are defined and all are met
+   */
+  isExempt(tripData) {
+    return this.exemptionConditions.length > 0 &&
+      this.exemptionConditions.every(condition => condition.evaluate(tripData));
+  }
+
+  /**
+   * Check if an additional charge type is taxable under this rule
+   * @param {ChargeType} chargeType - The charge type
+   * @returns {boolean} True if taxable
+   */
+  isTaxable(chargeType) {
+    return !this.exemptChargeTypes.includes(chargeType);
+  }
+}
+
+module.exports = TaxRule;
\ No newline at end of file
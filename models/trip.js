@@ -0,0 +1,156 @@
+/**
+ * Trip model - Represents a trip as an ordered route of stops, for multi-stop rating.
+ * Built from trip data with stops ([{location, distance, ...}], where distance is from the
+ * previous stop), with legs ([{origin, destination, distance, ...}]), or with a plain
+ * origin and destination. Any other stop or leg fields (e.g. weight dropped) apply to the
+ * leg that ends at that stop. A stops list without locations is left as plain trip data.
+ */
+class Trip {
+  constructor(tripData) {
+    const { stops: tripStops, legs, ...data } = tripData;
+    const stops = isRoute(tripStops) ? tripStops : null;
+    this.data = stops || tripStops === undefined ? data : { ...data, stops: tripStops };
+    this.routeGiven = stops !== null || (Array.isArray(legs) && legs.length > 0);
+    
+    if (stops) {
+      this.stops = stops.map(stop => ({ ...stop }));
+    } else if (Array.isArray(legs) && legs.length > 0) {
+      this.stops = [
+        { location: legs[0].origin },
+        ...legs.map(({ origin, destination, ...legData }) => ({ ...legData, location: destination }))
+      ];
+    } else {
+      this.stops = [{ location: data.origin }, { location: data.destination }];
+    }
+  }
+
+  /**
+   * Check if the trip was given as a route of stops or legs, rather than an origin and destination
+   * @returns {boolean} True if the trip data had stops or legs
+   */
+  hasRoute() {
+    return this.routeGiven;
+  }
+
+  /**
+   * Check if the trip has stops between its origin and final destination
+   * @returns {boolean} True if there are more than two stops
+   */
+  isMultiStop() {
+    return this.stops.length > 2;
+  }
+
+  /**
+   * Get the number of stops other than the origin and the lane's destination
+   * @returns {number} The extra stops
+   */
+  extraStops() {
+    return Math.max(0, this.stops.length - 2);
+  }
+
+  /**
+   * Get the legs of the route, between consecutive stops
+   * @returns {Object[]} Legs ({index, origin, destination, distance}), in route order
+   */
+  legs() {
+    return this.stops.slice(1).map((stop, i) => ({
+      index: i + 1,
+      origin: this.stops[i].location,
+      destination: stop.location,
+      distance: stop.distance === undefined ? null : stop.distance
+    }));
+  }
+
+  /**
+   * Build the trip data to rate one leg as a lane of its own
+   * @param {number} index - Leg number (1-based)
+   * @returns {TripData} Trip data for the leg
+   */
+  legData(index) {
+    const { location, ...stopData } = this.stops[index];
+    return {
+      ...this.data,
+      ...stopData,
+      origin: this.stops[index - 1].location,
+      destination: location,
+      legIndex: index,
+      extraStops: 0
+    };
+  }
+
+  /**
+   * Build the trip data to rate the whole route as one lane, from the origin to the final stop
+   * @returns {TripData} Trip data for the route; distance defaults to the total of the legs
+   */
+  routeData() {
+    const lastIndex = this.stops.length - 1;
+    return {
+      ...this.data,
+      stops: this.stops,
+      origin: this.stops[0].location,
+      destination: this.stops[lastIndex].location,
+      distance: this.data.distance !== undefined ? this.data.distance : this.distanceTo(lastIndex),
+      extraStops: this.extraStops()
+    };
+  }
+
+  /**
+   * Build the trip data to rate the lane from the origin to the farthest stop; the other
+   * stops are billed as extra stops
+   * @returns {TripData} Trip data for the farthest point
+   */
+  farthestPointData() {
+    const index = this.farthestStopIndex();
+    const stop = this.stops[index];
+    return {
+      ...this.data,
+      stops: this.stops,
+      origin: this.stops[0].location,
+      destination: stop.location,
+      distance: stop.distanceFromOrigin !== undefined ? stop.distanceFromOrigin : this.distanceTo(index),
+      extraStops: this.extraStops()
+    };
+  }
+
+  /**
+   * Find the stop farthest from the origin, by each stop's distanceFromOrigin. Without
+   * those distances the final stop is taken as the farthest.
+   * @returns {number} Index of the farthest stop
+   */
+  farthestStopIndex() {
+    let farthest = this.stops.length - 1;
+    let farthestDistance = -Infinity;
+    
+    this.stops.forEach((stop, index) => {
+      if (index > 0 && stop.distanceFromOrigin !== undefined && parseFloat(stop.distanceFromOrigin) > farthestDistance) {
+        farthest = index;
+        farthestDistance = parseFloat(stop.distanceFromOrigin);
+      }
+    });
+    
+    return farthest;
+  }
+
+  /**
+   * Get the route distance from the origin to a stop, adding up leg distances
+   * @param {number} index - Stop index
+   * @returns {number|undefined} The distance, or undefined if a leg on the way has none
+   */
+  distanceTo(index) {
+    const distances = this.stops.slice(1, index + 1).map(stop => parseFloat(stop.distance));
+    return distances.some(isNaN) ? undefined : distances.reduce((total, distance) => total + distance, 0);
+  }
+}
+
+/**
+ * Check if a stops list describes a route, i.e. every stop has a location
+ * @param {*} stops - The trip's stops
+ * @returns {boolean} True if the stops can be rated as a route
+ */
+function isRoute(stops) {
+  return Array.isArray(stops) &&
+    stops.length > 0 &&
+    stops.every(stop => typeof stop === 'object' && stop !== null && 'location' in stop);
+}
+
+module.exports = Trip;
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * VehicleClass model - Represents a named group of vehicle types (e.g. 32FT_CONTAINER for
+ * the 32ft single- and multi-axle containers), so one rate item can cover the whole class
+ * by using "@code" as its vehicle type
+ */
+class VehicleClass {
+  constructor({
+    id = null,
+    code,
+    name = code,
+    vehicleTypes = []
+  }) {
+    this.id = id || generateUUID();
+    this.code = String(code).trim().toUpperCase();
+    this.name = name;
+    this.vehicleTypes = vehicleTypes.map(vehicleType => String(vehicleType).trim().toUpperCase());
+  }
+
+  /**
+   * Add a vehicle type to this class
+   * @param {string} vehicleType - The vehicle type
+   */
+  addVehicleType(vehicleType) {
+    this.vehicleTypes.push(String(vehicleType).trim().toUpperCase());
+  }
+
+  /**
+   * Check if a vehicle type belongs to this class
+   * @param {string} vehicleType - The trip's vehicle type
+   * @returns {boolean} True if the vehicle type is in the class (case-insensitive)
+   */
+  includes(vehicleType) {
+    return vehicleType !== undefined &&
+      vehicleType !== null &&
+      this.vehicleTypes.includes(String(vehicleType).trim().toUpperCase());
+  }
+}
+
+module.exports = VehicleClass;
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Zone model - Represents a named group of locations used for zone-based pricing
+ */
+class Zone {
+  constructor({
+    id = null,
+    code,
+    name,
+    cities = [],
+    pincodeRanges = [],
+    regionCodes = []
+  }) {
+    this.id = id || generateUUID();
+    this.code = code;
+    this.name = name;
+    this.cities = cities.map(city => city.toUpperCase());
+    this.pincodeRanges = pincodeRanges.map(range => {
+      // Ranges may be given as "400001-400099", a single pincode, or { from, to }
+      if (typeof range === 'object') {
+        return { from: parseInt(range.from, 10), to: parseInt(range.to, 10) };
+      }
+      const [from, to = from] = String(range).split('-').map(v => parseInt(v.trim(), 10));
+      return { from, to };
+    });
+    this.regionCodes = regionCodes.map(region => region.toUpperCase());
+  }
+
+  /**
+   * Check if a location belongs to this zone
+   * @param {string|Location} location - City name, pincode, region code, or { city, pincode, regionCode }
+   * @returns {boolean} True if the location is in this zone
+   */
+  contains(location) {
+    if (location === null || location === undefined) {
+      return false;
+    }
+    
+    // A bare string may be any of the three identifiers
+    const { city, pincode, regionCode } = typeof location === 'object'
+      ? location
+      : { city: location, pincode: location, regionCode: location };
+      
+    if (city && this.cities.includes(String(city).toUpperCase())) {
+      return true;
+    }
+    
+    if (pincode && /^\d+$/.test(String(pincode).trim())) {
+      const value = parseInt(pincode, 10);
+      if (this.pincodeRanges.some(range => value >= range.from && value <= range.to)) {
+        return true;
+      }
+    }
+    
+    return Boolean(regionCode) && this.regionCodes.includes(String(regionCode).toUpperCase());
+  }
+}
+
+module.exports = Zone;
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * ZoneMaster model - Represents a reusable set of zone definitions shared across rate cards
+ */
+class ZoneMaster {
+  constructor({
+    id = null,
+    name,
+    zones = []
+  }) {
+    this.id = id || generateUUID();
+    this.name = name;
+    this.zones = zones;
+  }
+
+  /**
+   * Add a zone to this zone master
+   * @param {Zone} zone - The zone to add
+   * @throws {Error} If a zone with the same code already exists
+   */
+  addZone(zone) {
+    if (this.getZone(zone.code)) {
+      throw new Error(`Zone already defined: ${zone.code}`);
+    }
+    this.zones.push(zone);
+  }
+
+  /**
+   * Get a zone by its code
+   * @param {string} code - Zone code
+   * @returns {Zone|null} The zone, or null if not defined
+   */
+  getZone(code) {
+    return this.zones.find(zone => zone.code === code) || null;
+  }
+
+  /**
+   * Find the zone a location belongs to
+   * @param {string|Location} location - The location to look up
+   * @returns {Zone|null} The first zone containing the location, or null
+   */
+  findZone(location) {
+    return this.zones.find(zone => zone.contains(location)) || null;
+  }
+
+  /**
+   * Resolve the zone a location belongs to
+   * @param {string|Location} location - The location to look up
+   * @returns {Zone} The zone containing the location
+   * @throws {RatingError} If the location is not mapped to any zone
+   */
+  resolveZone(location) {
+    const zone = this.findZone(location);
+    if (!zone) {
+      const label = typeof location === 'object' && location !== null ? JSON.stringify(location) : location;
+      throw new RatingError(
+        `Location ${label} is not mapped to any zone in zone master ${this.name}`,
+        RatingErrorCode.ZONE_NOT_MAPPED,
+        { location }
+      );
+    }
+    return zone;
+  }
+}
+
+module.exports = ZoneMaster;
\ No newline at end of file
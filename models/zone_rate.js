@@ -0,0 +1,30 @@
+/**
+ * ZoneRate model - Represents the price for one origin zone to destination zone pair
+ */
+class ZoneRate {
+  constructor({
+    id = null,
+    rateItemId,
+    originZone,
+    destinationZone,
+    rate
+  }) {
+    this.id = id || generateUUID();
+    this.rateItemId = rateItemId;
+    this.originZone = originZone;
+    this.destinationZone = destinationZone;
+    this.rate = parseFloat(rate);
+  }
+
+  /**
+   * Check if this rate applies to the given zone pair
+   * @param {string} originZone - Origin zone code
+   * @param {string} destinationZone - Destination zone code
+   * @returns {boolean} True if the zone pair matches
+   */
+  matches(originZone, destinationZone) {
+    return this.originZone === originZone && this.destinationZone === destinationZone;
+  }
+}
+
+module.exports = ZoneRate;
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * In-memory rate card repository - Keeps rate cards and their versions in process memory.
+ * Intended for tests and local development; entities are stored as detached copies, so
+ * the repository behaves like a persistent store (changes must be saved to stick).
+ */
+class InMemoryRateCardRepository {
+  constructor() {
+    this.rateCards = new Map();
+    this.versions = new Map();
+  }
+
+  /**
+   * Save a rate card, with its rate items, conditions and additional charges
+   * @param {RateCard} rateCard - The rate card to save
+   * @returns {Promise<RateCard>} The saved rate card
+   */
+  async save(rateCard) {
+    this.rateCards.set(rateCard.id, RateCardMapper.toData(rateCard));
+    return rateCard;
+  }
+
+  /**
+   * Find a rate card by ID
+   * @param {string} id - Rate card ID
+   * @returns {Promise<RateCard|null>} The rate card, or null if not found
+   */
+  async findById(id) {
+    const cardData = this.rateCards.get(id);
+    return cardData ? RateCardMapper.toRateCard(cardData) : null;
+  }
+
+  /**
+   * Find rate cards matching filters
+   * @param {RateCardFilter} filters - clientId, status (one or an array), effectiveOn (date the
+   *   card must be effective on), page (1-based) and pageSize
+   * @returns {Promise<RateCardList>} Matching rate cards ({items, total, page, pageSize}),
+   *   ordered by effectiveFrom, then name
+   */
+  async findAll(filters = {}) {
+    const { clientId, status, effectiveOn, page = 1, pageSize = null } = filters;
+    const statuses = status ? [].concat(status) : null;
+    const effectiveDate = effectiveOn ? new Date(effectiveOn) : null;
+    
+    const matches = [...this.rateCards.values()]
+      .map(cardData => RateCardMapper.toRateCard(cardData))
+      .filter(rateCard =>
+        (!clientId || rateCard.clientId === clientId) &&
+        (!statuses || statuses.includes(rateCard.status)) &&
+        (!effectiveDate || rateCard.isEffectiveOn(effectiveDate))
+      )
+      .sort((a, b) => (a.effectiveFrom - b.effectiveFrom) || a.name.localeCompare(b.name));
+    
+    const items = pageSize ? matches.slice((page - 1) * pageSize, page * pageSize) : matches;
+    
+    return {
+      items,
+      total: matches.length,
+      page: pageSize ? page : 1,
+      pageSize: pageSize || matches.length
+    };
+  }
+
+  /**
+   * Delete a rate card and its versions
+   * @param {string} id - Rate card ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    this.rateCards.delete(id);
+    for (const [versionId, versionData] of this.versions) {
+      if (versionData.rateCardId === id) {
+        this.versions.delete(versionId);
+      }
+    }
+  }
+
+  /**
+   * Save a rate card version
+   * @param {RateCardVersion} version - The version to save
+   * @returns {Promise<RateCardVersion>} The saved version
+   */
+  async saveVersion(version) {
+    this.versions.set(version.id, RateCardMapper.toData(version));
+    return version;
+  }
+
+  /**
+   * Find a version by ID
+   * @param {string} id - Version ID
+   * @returns {Promise<RateCardVersion|null>} The version, or null if not found
+   */
+  async findVersionById(id) {
+    const versionData = this.versions.get(id);
+    return versionData ? RateCardMapper.toVersion(versionData) : null;
+  }
+
+  /**
+   * Find all versions of a rate card
+   * @param {string} rateCardId - Rate card ID
+   * @returns {Promise<RateCardVersion[]>} The versions, oldest first
+   */
+  async findVersions(rateCardId) {
+    return [...this.versions.values()]
+      .filter(versionData => versionData.rateCardId === rateCardId)
+      .map(versionData => RateCardMapper.toVersion(versionData))
+      .sort((a, b) => a.versionNumber - b.versionNumber);
+  }
+
+  /**
+   * Find a version of a rate card by its number
+   * @param {string} rateCardId - Rate card ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<RateCardVersion|null>} The version, or null if not found
+   */
+  async findVersionByNumber(rateCardId, versionNumber) {
+    const versions = await this.findVersions(rateCardId);
+    return versions.find(version => version.versionNumber === versionNumber) || null;
+  }
+}
+
+module.exports = InMemoryRateCardRepository;
\ No newline at end of file
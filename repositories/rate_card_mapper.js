@@ -0,0 +1,46 @@
+/**
+ * Rate card mapper - Rebuilds rate card and version entities from stored plain data,
+ * shared by the repository implementations
+ */
+class RateCardMapper {
+  /**
+   * Create a rate card entity, with its rate items, from plain data
+   * @param {Object} cardData - Plain rate card data, e.g. a JSON copy of a RateCard
+   * @returns {RateCard} The rate card
+   */
+  static toRateCard(cardData) {
+    const rateCard = new RateCard({
+      ...cardData,
+      pricingRules: RateItemFactory.createPricingRules(cardData.pricingRules, { rateCardId: cardData.id }),
+      roundingPolicy: new RoundingPolicy(cardData.roundingPolicy || {})
+    });
+    
+    for (const itemData of cardData.rateItems || []) {
+      rateCard.addRateItem(RateItemFactory.createRateItem(itemData, rateCard.id));
+    }
+    
+    return rateCard;
+  }
+
+  /**
+   * Create a rate card version entity from plain data. The version's rate items stay
+   * plain data, as they are on a newly created version.
+   * @param {Object} versionData - Plain version data
+   * @returns {RateCardVersion} The version
+   */
+  static toVersion(versionData) {
+    return new RateCardVersion(versionData);
+  }
+
+  /**
+   * Take a plain, detached copy of an entity, so later changes to the entity don't
+   * leak into what was stored
+   * @param {RateCard|RateCardVersion} entity - The entity
+   * @returns {Object} Plain data
+   */
+  static toData(entity) {
+    return JSON.parse(JSON.stringify(entity));
+  }
+}
+
+module.exports = RateCardMapper;
\ No newline at end of file
@@ -0,0 +1,603 @@
+/**
+ * SQLite rate card repository - Persists rate cards, rate items, conditions, additional
+ * charges and versions in an embedded SQLite database.
+ *
+ * Takes an open database handle with the better-sqlite3 API (prepare/exec/transaction).
+ * Slabs, zone rates, pricing rules, fuel adjustment, chargeable weight rule, rounding policy and
+ * charge tiers are stored as JSON columns on their owning row; version snapshots are stored whole as JSON.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS rate_cards (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    client_id TEXT NOT NULL,
+    description TEXT,
+    effective_from TEXT NOT NULL,
+    effective_to TEXT,
+    status TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL,
+    current_version_id TEXT,
+    pending_version_id TEXT,
+    latest_version_number INTEGER NOT NULL DEFAULT 0,
+    pricing_rules TEXT NOT NULL DEFAULT '[]',
+    rounding_policy TEXT NOT NULL DEFAULT '{}',
+    submitted_by TEXT,
+    revised_by TEXT NOT NULL DEFAULT '[]',
+    approvals TEXT NOT NULL DEFAULT '[]',
+    rejection_reason TEXT,
+    status_history TEXT NOT NULL DEFAULT '[]',
+    multi_stop_mode TEXT NOT NULL DEFAULT 'FULL_ROUTE'
+  );
+  CREATE INDEX IF NOT EXISTS rate_cards_client_idx ON rate_cards (client_id, status, effective_from);
+
+  CREATE TABLE IF NOT EXISTS rate_items (
+    id TEXT PRIMARY KEY,
+    rate_card_id TEXT NOT NULL REFERENCES rate_cards (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    service_code TEXT,
+    origin TEXT NOT NULL,
+    destination TEXT NOT NULL,
+    vehicle_type TEXT NOT NULL,
+    rate_type TEXT NOT NULL,
+    base_rate REAL NOT NULL,
+    min_charge REAL NOT NULL DEFAULT 0,
+    priority INTEGER NOT NULL DEFAULT 0,
+    bidirectional INTEGER NOT NULL DEFAULT 0,
+    slab_parameter TEXT,
+    slab_mode TEXT,
+    slabs TEXT NOT NULL DEFAULT '[]',
+    zone_rates TEXT NOT NULL DEFAULT '[]',
+    pricing_rules TEXT NOT NULL DEFAULT '[]',
+    fuel_adjustment TEXT NOT NULL DEFAULT '{}',
+    chargeable_weight_rule TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS rate_items_card_idx ON rate_items (rate_card_id, position);
+
+  CREATE TABLE IF NOT EXISTS additional_charges (
+    id TEXT PRIMARY KEY,
+    rate_item_id TEXT NOT NULL REFERENCES rate_items (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    value REAL,
+    is_percentage INTEGER NOT NULL DEFAULT 0,
+    quantity_parameter TEXT,
+    free_quantity REAL NOT NULL DEFAULT 0,
+    tiers TEXT NOT NULL DEFAULT '[]',
+    min_amount REAL,
+    max_amount REAL
+  );
+  CREATE INDEX IF NOT EXISTS additional_charges_item_idx ON additional_charges (rate_item_id, position);
+
+  CREATE TABLE IF NOT EXISTS rate_conditions (
+    id TEXT PRIMARY KEY,
+    rate_item_id TEXT NOT NULL REFERENCES rate_items (id) ON DELETE CASCADE,
+    additional_charge_id TEXT REFERENCES additional_charges (id) ON DELETE CASCADE,
+    parent_condition_id TEXT REFERENCES rate_conditions (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    logic TEXT,
+    parameter TEXT,
+    operator TEXT,
+    value TEXT,
+    value_type TEXT,
+    time_zone_location TEXT
+  );
+  CREATE INDEX IF NOT EXISTS rate_conditions_item_idx ON rate_conditions (rate_item_id, position);
+
+  CREATE TABLE IF NOT EXISTS rate_card_versions (
+    id TEXT PRIMARY KEY,
+    rate_card_id TEXT NOT NULL REFERENCES rate_cards (id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    effective_from TEXT NOT NULL,
+    effective_to TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'PUBLISHED',
+    restored_from_version_number INTEGER,
+    rate_items TEXT NOT NULL,
+    currency TEXT,
+    pricing_rules TEXT,
+    rounding_policy TEXT,
+    multi_stop_mode TEXT,
+    UNIQUE (rate_card_id, version_number)
+  );
+`;
+
+class SqliteRateCardRepository {
+  /**
+   * Constructor
+   * @param {Database} db - Open better-sqlite3 compatible database handle
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create the tables and indexes if they don't exist. Call once before first use.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Save a rate card, replacing its stored rate items, conditions and additional charges
+   * @param {RateCard} rateCard - The rate card to save
+   * @returns {Promise<RateCard>} The saved rate card
+   */
+  async save(rateCard) {
+    const saveCard = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO rate_cards (
+          id, name, client_id, description, effective_from, effective_to, status, currency,
+          created_by, created_at, updated_by, updated_at, current_version_id, pending_version_id,
+          latest_version_number, pricing_rules, rounding_policy, submitted_by, revised_by, approvals, rejection_reason, status_history,
+          multi_stop_mode
+        ) VALUES (
+          @id, @name, @clientId, @description, @effectiveFrom, @effectiveTo, @status, @currency,
+          @createdBy, @createdAt, @updatedBy, @updatedAt, @currentVersionId, @pendingVersionId,
+          @latestVersionNumber, @pricingRules, @roundingPolicy, @submittedBy, @revisedBy, @approvals, @rejectionReason, @statusHistory,
+          @multiStopMode
+        )
+        ON CONFLICT (id) DO UPDATE SET
+          name = excluded.name,
+          client_id = excluded.client_id,
+          description = excluded.description,
+          effective_from = excluded.effective_from,
+          effective_to = excluded.effective_to,
+          status = excluded.status,
+          currency = excluded.currency,
+          updated_by = excluded.updated_by,
+          updated_at = excluded.updated_at,
+          current_version_id = excluded.current_version_id,
+          pending_version_id = excluded.pending_version_id,
+          latest_version_number = excluded.latest_version_number,
+          pricing_rules = excluded.pricing_rules,
+          rounding_policy = excluded.rounding_policy,
+          submitted_by = excluded.submitted_by,
+          revised_by = excluded.revised_by,
+          approvals = excluded.approvals,
+          rejection_reason = excluded.rejection_reason,
+          status_history = excluded.status_history,
+          multi_stop_mode = excluded.multi_stop_mode
+      `).run({
+        id: rateCard.id,
+        name: rateCard.name,
+        clientId: rateCard.clientId,
+        description: rateCard.description,
+        effectiveFrom: toIsoString(rateCard.effectiveFrom),
+        effectiveTo: toIsoString(rateCard.effectiveTo),
+        status: rateCard.status,
+        currency: rateCard.currency,
+        createdBy: rateCard.createdBy,
+        createdAt: toIsoString(rateCard.createdAt),
+        updatedBy: rateCard.updatedBy,
+        updatedAt: toIsoString(rateCard.updatedAt),
+        currentVersionId: rateCard.currentVersionId,
+        pendingVersionId: rateCard.pendingVersionId,
+        latestVersionNumber: rateCard.latestVersionNumber,
+        pricingRules: JSON.stringify(rateCard.pricingRules),
+        roundingPolicy: JSON.stringify(rateCard.roundingPolicy),
+        submittedBy: rateCard.submittedBy,
+        revisedBy: JSON.stringify(rateCard.revisedBy),
+        approvals: JSON.stringify(rateCard.approvals),
+        rejectionReason: rateCard.rejectionReason,
+        statusHistory: JSON.stringify(rateCard.statusHistory),
+        multiStopMode: rateCard.multiStopMode
+      });
+      
+      // Replace the card's items rather than diffing them
+      this._deleteRateItems(rateCard.id);
+      rateCard.rateItems.forEach((item, position) => this._insertRateItem(rateCard.id, item, position));
+    });
+    
+    saveCard();
+    return rateCard;
+  }
+
+  /**
+   * Find a rate card by ID
+   * @param {string} id - Rate card ID
+   * @returns {Promise<RateCard|null>} The rate card, or null if not found
+   */
+  async findById(id) {
+    const row = this.db.prepare('SELECT * FROM rate_cards WHERE id = ?').get(id);
+    return row ? this._toRateCard(row) : null;
+  }
+
+  /**
+   * Find rate cards matching filters
+   * @param {RateCardFilter} filters - clientId, status (one or an array), effectiveOn (date the
+   *   card must be effective on), page (1-based) and pageSize
+   * @returns {Promise<RateCardList>} Matching rate cards ({items, total, page, pageSize}),
+   *   ordered by effectiveFrom, then name
+   */
+  async findAll(filters = {}) {
+    const { clientId, status, effectiveOn, page = 1, pageSize = null } = filters;
+    const clauses = [];
+    const params = [];
+    
+    if (clientId) {
+      clauses.push('client_id = ?');
+      params.push(clientId);
+    }
+    
+    if (status) {
+      const statuses = [].concat(status);
+      clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    
+    if (effectiveOn) {
+      const date = toIsoString(new Date(effectiveOn));
+      clauses.push('effective_from <= ? AND (effective_to IS NULL OR effective_to >= ?)');
+      params.push(date, date);
+    }
+    
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM rate_cards ${where}`).get(...params);
+    
+    let sql = `SELECT * FROM rate_cards ${where} ORDER BY effective_from, name`;
+    const pageParams = [];
+    if (pageSize) {
+      sql += ' LIMIT ? OFFSET ?';
+      pageParams.push(pageSize, (page - 1) * pageSize);
+    }
+    
+    const items = this.db.prepare(sql).all(...params, ...pageParams).map(row => this._toRateCard(row));
+    
+    return {
+      items,
+      total,
+      page: pageSize ? page : 1,
+      pageSize: pageSize || total
+    };
+  }
+
+  /**
+   * Delete a rate card with its rate items and versions
+   * @param {string} id - Rate card ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const deleteCard = this.db.transaction(() => {
+      this._deleteRateItems(id);
+      this.db.prepare('DELETE FROM rate_card_versions WHERE rate_card_id = ?').run(id);
+      this.db.prepare('DELETE FROM rate_cards WHERE id = ?').run(id);
+    });
+    
+    deleteCard();
+  }
+
+  /**
+   * Save a rate card version
+   * @param {RateCardVersion} version - The version to save
+   * @returns {Promise<RateCardVersion>} The saved version
+   */
+  async saveVersion(version) {
+    this.db.prepare(`
+      INSERT INTO rate_card_versions (
+        id, rate_card_id, version_number, effective_from, effective_to, created_by, created_at, status,
+        restored_from_version_number, rate_items, currency, pricing_rules, rounding_policy, multi_stop_mode
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        effective_from = excluded.effective_from,
+        effective_to = excluded.effective_to,
+        status = excluded.status
+    `).run(
+      version.id,
+      version.rateCardId,
+      version.versionNumber,
+      toIsoString(version.effectiveFrom),
+      toIsoString(version.effectiveTo),
+      version.createdBy,
+      toIsoString(version.createdAt),
+      version.status,
+      version.restoredFromVersionNumber,
+      JSON.stringify(version.rateItems),
+      version.currency,
+      version.pricingRules ? JSON.stringify(version.pricingRules) : null,
+      version.roundingPolicy ? JSON.stringify(version.roundingPolicy) : null,
+      version.multiStopMode
+    );
+    return version;
+  }
+
+  /**
+   * Find a version by ID
+   * @param {string} id - Version ID
+   * @returns {Promise<RateCardVersion|null>} The version, or null if not found
+   */
+  async findVersionById(id) {
+    const row = this.db.prepare('SELECT * FROM rate_card_versions WHERE id = ?').get(id);
+    return row ? toVersion(row) : null;
+  }
+
+  /**
+   * Find all versions of a rate card
+   * @param {string} rateCardId - Rate card ID
+   * @returns {Promise<RateCardVersion[]>} The versions, oldest first
+   */
+  async findVersions(rateCardId) {
+    return this.db
+      .prepare('SELECT * FROM rate_card_versions WHERE rate_card_id = ? ORDER BY version_number')
+      .all(rateCardId)
+      .map(toVersion);
+  }
+
+  /**
+   * Find a version of a rate card by its number
+   * @param {string} rateCardId - Rate card ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<RateCardVersion|null>} The version, or null if not found
+   */
+  async findVersionByNumber(rateCardId, versionNumber) {
+    const row = this.db
+      .prepare('SELECT * FROM rate_card_versions WHERE rate_card_id = ? AND version_number = ?')
+      .get(rateCardId, versionNumber);
+    return row ? toVersion(row) : null;
+  }
+
+  /**
+   * Insert a rate item with its additional charges and conditions
+   * @param {string} rateCardId - Owning rate card ID
+   * @param {RateItem} item - The rate item
+   * @param {number} position - Position of the item on the card
+   * @private
+   */
+  _insertRateItem(rateCardId, item, position) {
+    this.db.prepare(`
+      INSERT INTO rate_items (
+        id, rate_card_id, position, service_code, origin, destination, vehicle_type, rate_type,
+        base_rate, min_charge, priority, bidirectional, slab_parameter, slab_mode, slabs, zone_rates,
+        pricing_rules, fuel_adjustment, chargeable_weight_rule
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      item.id,
+      rateCardId,
+      position,
+      item.serviceCode === undefined ? null : item.serviceCode,
+      item.origin,
+      item.destination,
+      item.vehicleType,
+      item.rateType,
+      item.baseRate,
+      item.minCharge,
+      item.priority,
+      item.bidirectional ? 1 : 0,
+      item.slabParameter,
+      item.slabMode,
+      JSON.stringify(item.slabs),
+      JSON.stringify(item.zoneRates),
+      JSON.stringify(item.pricingRules),
+      JSON.stringify(item.fuelAdjustment),
+      JSON.stringify(item.chargeableWeightRule)
+    );
+    
+    this._insertConditions(item.id, null, item.conditions);
+    
+    item.additionalCharges.forEach((charge, chargePosition) => {
+      this.db.prepare(`
+        INSERT INTO additional_charges (
+          id, rate_item_id, position, name, type, value, is_percentage,
+          quantity_parameter, free_quantity, tiers, min_amount, max_amount
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        charge.id,
+        item.id,
+        chargePosition,
+        charge.name,
+        charge.type,
+        isNaN(charge.value) ? null : charge.value,
+        charge.isPercentage ? 1 : 0,
+        charge.quantityParameter,
+        charge.freeQuantity,
+        JSON.stringify(charge.tiers),
+        charge.minAmount,
+        charge.maxAmount
+      );
+      
+      this._insertConditions(item.id, charge.id, charge.conditions);
+    });
+  }
+
+  /**
+   * Insert the conditions of a rate item or of one of its additional charges. A condition
+   * group is a row with a logic and no parameter; its conditions point at it as their parent.
+   * @param {string} rateItemId - Owning rate item ID
+   * @param {string|null} additionalChargeId - Owning additional charge ID, or null for item conditions
+   * @param {Array<RateCondition|ConditionGroup>} conditions - The conditions
+   * @param {string|null} parentConditionId - Owning condition group ID, or null at the top level
+   * @private
+   */
+  _insertConditions(rateItemId, additionalChargeId, conditions, parentConditionId = null) {
+    const insert = this.db.prepare(`
+      INSERT INTO rate_conditions (
+        id, rate_item_id, additional_charge_id, parent_condition_id, position,
+        logic, parameter, operator, value, value_type, time_zone_location
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    conditions.forEach((condition, position) => {
+      if (condition.logic) {
+        insert.run(condition.id, rateItemId, additionalChargeId, parentConditionId, position,
+          condition.logic, null, null, null, null, null);
+        this._insertConditions(rateItemId, additionalChargeId, condition.conditions, condition.id);
+        return;
+      }
+      
+      insert.run(
+        condition.id,
+        rateItemId,
+        additionalChargeId,
+        parentConditionId,
+        position,
+        null,
+        condition.parameter,
+        condition.operator,
+        condition.value === null || condition.value === undefined ? null : String(condition.value),
+        condition.valueType || null,
+        condition.timeZoneLocation || null
+      );
+    });
+  }
+
+  /**
+   * Delete a rate card's items with their additional charges and conditions. Done
+   * explicitly so it doesn't depend on foreign key enforcement being switched on.
+   * @param {string} rateCardId - Rate card ID
+   * @private
+   */
+  _deleteRateItems(rateCardId) {
+    const itemIds = 'SELECT id FROM rate_items WHERE rate_card_id = ?';
+    this.db.prepare(`DELETE FROM rate_conditions WHERE rate_item_id IN (${itemIds})`).run(rateCardId);
+    this.db.prepare(`DELETE FROM additional_charges WHERE rate_item_id IN (${itemIds})`).run(rateCardId);
+    this.db.prepare('DELETE FROM rate_items WHERE rate_card_id = ?').run(rateCardId);
+  }
+
+  /**
+   * Rebuild a rate card entity from its row and its items' rows
+   * @param {Object} row - rate_cards row
+   * @returns {RateCard} The rate card
+   * @private
+   */
+  _toRateCard(row) {
+    const itemRows = this.db
+      .prepare('SELECT * FROM rate_items WHERE rate_card_id = ? ORDER BY position')
+      .all(row.id);
+    const chargeRows = this.db.prepare(`
+      SELECT c.* FROM additional_charges c
+      JOIN rate_items i ON i.id = c.rate_item_id
+      WHERE i.rate_card_id = ?
+      ORDER BY c.position
+    `).all(row.id);
+    const conditionRows = this.db.prepare(`
+      SELECT c.* FROM rate_conditions c
+      JOIN rate_items i ON i.id = c.rate_item_id
+      WHERE i.rate_card_id = ?
+      ORDER BY c.position
+    `).all(row.id);
+    
+    const conditionsOf = (rateItemId, additionalChargeId, parentConditionId = null) => conditionRows
+      .filter(condition => 
+        condition.rate_item_id === rateItemId &&
+        condition.additional_charge_id === additionalChargeId &&
+        condition.parent_condition_id === parentConditionId
+      )
+      .map(condition => (condition.logic
+        ? {
+          id: condition.id,
+          logic: condition.logic,
+          conditions: conditionsOf(rateItemId, additionalChargeId, condition.id)
+        }
+        : {
+          id: condition.id,
+          parameter: condition.parameter,
+          operator: condition.operator,
+          value: condition.value,
+          valueType: condition.value_type,
+          timeZoneLocation: condition.time_zone_location
+        }));
+        
+    return RateCardMapper.toRateCard({
+      id: row.id,
+      name: row.name,
+      clientId: row.client_id,
+      description: row.description,
+      effectiveFrom: row.effective_from,
+      effectiveTo: row.effective_to,
+      status: row.status,
+      currency: row.currency,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at,
+      currentVersionId: row.current_version_id,
+      pendingVersionId: row.pending_version_id,
+      latestVersionNumber: row.latest_version_number,
+      pricingRules: JSON.parse(row.pricing_rules),
+      roundingPolicy: JSON.parse(row.rounding_policy),
+      submittedBy: row.submitted_by,
+      revisedBy: JSON.parse(row.revised_by),
+      approvals: JSON.parse(row.approvals),
+      rejectionReason: row.rejection_reason,
+      statusHistory: JSON.parse(row.status_history),
+      multiStopMode: row.multi_stop_mode,
+      rateItems: itemRows.map(item => ({
+        id: item.id,
+        serviceCode: item.service_code === null ? undefined : item.service_code,
+        origin: item.origin,
+        destination: item.destination,
+        vehicleType: item.vehicle_type,
+        rateType: item.rate_type,
+        baseRate: item.base_rate,
+        minCharge: item.min_charge,
+        priority: item.priority,
+        bidirectional: item.bidirectional === 1,
+        slabParameter: item.slab_parameter,
+        slabMode: item.slab_mode,
+        slabs: JSON.parse(item.slabs),
+        zoneRates: JSON.parse(item.zone_rates),
+        pricingRules: JSON.parse(item.pricing_rules),
+        fuelAdjustment: JSON.parse(item.fuel_adjustment),
+        chargeableWeightRule: JSON.parse(item.chargeable_weight_rule),
+        conditions: conditionsOf(item.id, null),
+        additionalCharges: chargeRows
+          .filter(charge => charge.rate_item_id === item.id)
+          .map(charge => ({
+            id: charge.id,
+            name: charge.name,
+            type: charge.type,
+            value: charge.value,
+            isPercentage: charge.is_percentage === 1,
+            quantityParameter: charge.quantity_parameter,
+            freeQuantity: charge.free_quantity,
+            tiers: JSON.parse(charge.tiers),
+            minAmount: charge.min_amount,
+            maxAmount: charge.max_amount,
+            conditions: conditionsOf(item.id, charge.id)
+          }))
+      }))
+    });
+  }
+}
+
+/**
+ * Rebuild a version entity from its row
+ * @param {Object} row - rate_card_versions row
+ * @returns {RateCardVersion} The version
+ */
+function toVersion(row) {
+  return RateCardMapper.toVersion({
+    id: row.id,
+    rateCardId: row.rate_card_id,
+    versionNumber: row.version_number,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    status: row.status,
+    restoredFromVersionNumber: row.restored_from_version_number,
+    rateItems: JSON.parse(row.rate_items),
+    currency: row.currency,
+    pricingRules: row.pricing_rules ? JSON.parse(row.pricing_rules) : null,
+    roundingPolicy: row.rounding_policy ? JSON.parse(row.rounding_policy) : null,
+    multiStopMode: row.multi_stop_mode
+  });
+}
+
+/**
+ * Store a date as an ISO-8601 UTC string, which SQLite compares correctly as text
+ * @param {Date|null} date - The date
+ * @returns {string|null} The ISO string, or null
+ */
+function toIsoString(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+module.exports = SqliteRateCardRepository;
\ No newline at end of file
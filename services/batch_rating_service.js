@@ -0,0 +1,172 @@
+/**
+ * Batch rating service - Rates large sets of trips (e.g. a month's trips at invoicing time)
+ * with the rate card and version in effect for each trip's client and date.
+ * Each card version is resolved once per client and trip day, and its rate items are
+ * indexed by lane once per version, so a trip costs neither a repository lookup nor a scan
+ * of every rate item. Results are streamed trip by trip; a trip that can't be rated
+ * yields its error instead of stopping the batch.
+ */
+
+// Failure reason for errors that carry no RatingErrorCode
+const UNCLASSIFIED = 'UNCLASSIFIED';
+
+class BatchRatingService {
+  /**
+   * Constructor
+   * @param {RateCardService} rateCardService - Rate card service, used to resolve rate card versions
+   * @param {AuthService} authService - Authentication service
+   */
+  constructor(rateCardService, authService) {
+    this.rateCardService = rateCardService;
+    this.authService = authService;
+  }
+
+  /**
+   * Rate trips one at a time, yielding each result as soon as it is ready. Versions are
+   * cached for the run only, so the rate cards should not change while it is in progress.
+   * @param {Iterable<TripData>|AsyncIterable<TripData>} trips - Trips to rate; each needs a
+   *   clientId and a tripDate (defaults to now)
+   * @param {RatingContext} context - Shared reference data passed to the rate cards
+   * @yields {BatchRatingResult} {index, tripId, clientId, rating, error}: the TripRating, or
+   *   {code, message, details} when the trip could not be rated
+   * @returns {BatchRatingSummary} {total, rated, failed, failures}, where failures maps each
+   *   error code to {count, tripIds}; the generator's return value
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async *rateTrips(trips, context = {}) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'rate');
+    
+    const cache = { byClientDay: new Map(), byVersion: new Map() };
+    const summary = { total: 0, rated: 0, failed: 0, failures: {} };
+    
+    for await (const tripData of trips) {
+      const result = {
+        index: summary.total,
+        tripId: tripData.id,
+        clientId: tripData.clientId,
+        rating: null,
+        error: null
+      };
+      
+      try {
+        result.rating = await this._rateTrip(tripData, context, cache);
+        summary.rated++;
+      } catch (error) {
+        result.error = {
+          code: error.code || UNCLASSIFIED,
+          message: error.message,
+          details: error.details || null
+        };
+        recordFailure(summary, result);
+      }
+      
+      summary.total++;
+      yield result;
+    }
+    
+    return summary;
+  }
+
+  /**
+   * Rate trips and collect all results. For very large batches, prefer rateTrips and
+   * handle each result as it arrives.
+   * @param {Iterable<TripData>|AsyncIterable<TripData>} trips - Trips to rate
+   * @param {RatingContext} context - Shared reference data passed to the rate cards
+   * @returns {Promise<{results: BatchRatingResult[], summary: BatchRatingSummary}>} Results in trip order, and the summary
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async rateBatch(trips, context = {}) {
+    const results = [];
+    const iterator = this.rateTrips(trips, context);
+    
+    let next = await iterator.next();
+    while (!next.done) {
+      results.push(next.value);
+      next = await iterator.next();
+    }
+    
+    return { results, summary: next.value };
+  }
+
+  /**
+   * Rate one trip with the cached version for its client and date
+   * @param {TripData} tripData - Data about the trip
+   * @param {RatingContext} context - Shared reference data
+   * @param {Object} cache - Versions resolved so far in this run
+   * @returns {Promise<TripRating>} The rate card, version and charge calculation used
+   * @throws {RatingError} If no rate card or version is in effect on the date, more than one is,
+   *   or the trip cannot be rated
+   * @private
+   */
+  async _rateTrip(tripData, context, cache) {
+    const tripDate = tripData.tripDate ? new Date(tripData.tripDate) : new Date();
+    const { rateCard, version, ratingCard, rateItemIndex } = await this._resolveVersion(
+      tripData.clientId,
+      tripDate,
+      context,
+      cache
+    );
+    
+    return {
+      rateCard,
+      rateCardVersionId: version.id,
+      versionNumber: version.versionNumber,
+      calculation: ratingCard.calculateRate({ ...tripData, tripDate }, { ...context, rateItemIndex })
+    };
+  }
+
+  /**
+   * Get the rate card version in effect for a client on a date, from the cache when the
+   * version cached for the same client and day is also in effect at that time
+   * @param {string} clientId - Client ID
+   * @param {Date} date - The trip date
+   * @param {RatingContext} context - Shared reference data, with the locationHierarchy lanes are indexed by
+   * @param {Object} cache - Versions resolved so far in this run
+   * @returns {Promise<Object>} {rateCard, version, ratingCard, rateItemIndex}
+   * @throws {RatingError} If no rate card or version is in effect on the date, or more than one is
+   * @private
+   */
+  async _resolveVersion(clientId, date, context, cache) {
+    const key = `${clientId}|${date.toISOString().slice(0, 10)}`;
+    const cached = cache.byClientDay.get(key);
+    if (cached && cached.rateCard.isEffectiveOn(date) && cached.version.isEffectiveOn(date)) {
+      return cached;
+    }
+    
+    const { rateCard, version } = await this.rateCardService.resolveRateCardVersion(clientId, date);
+    
+    // Days sharing a version share its rating card and index
+    if (!cache.byVersion.has(version.id)) {
+      const ratingCard = this.rateCardService.rateCardForVersion(rateCard, version);
+      cache.byVersion.set(version.id, {
+        rateCard,
+        version,
+        ratingCard,
+        rateItemIndex: new RateItemIndex(ratingCard.rateItems, context.locationHierarchy || null)
+      });
+    }
+    
+    const resolved = cache.byVersion.get(version.id);
+    cache.byClientDay.set(key, resolved);
+    return resolved;
+  }
+}
+
+/**
+ * Count a failed trip in the summary, under its error code
+ * @param {BatchRatingSummary} summary - The summary, updated in place
+ * @param {BatchRatingResult} result - The failed result
+ */
+function recordFailure(summary, result) {
+  const { code } = result.error;
+  if (!summary.failures[code]) {
+    summary.failures[code] = { count: 0, tripIds: [] };
+  }
+
+  summary.failed++;
+  summary.failures[code].count++;
+  summary.failures[code].tripIds.push(result.tripId);
+}
+
+module.exports = BatchRatingService;
\ No newline at end of file
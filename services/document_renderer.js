@@ -0,0 +1,340 @@
+/**
+ * Built-in templates, used when no template is registered for a document
+ */
+const DEFAULT_TEMPLATES = [
+  new DocumentTemplate({
+    name: 'Default invoice (HTML)',
+    documentType: DocumentType.INVOICE,
+    format: TemplateFormat.HTML,
+    body: `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Invoice {{invoiceNumber}}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 32px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+  th, td { border-bottom: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  td.amount, th.amount { text-align: right; }
+  tr.charge td { color: #555; border-bottom: none; font-size: 11px; }
+  tfoot td { font-weight: bold; border-bottom: none; }
+</style>
+</head>
+<body>
+<h1>Invoice {{invoiceNumber}}</h1>
+<p>Client: {{clientId}}<br>Billing period: {{periodStart}} to {{periodEnd}}<br>Issued: {{issuedAt}}<br>Status: {{status}}</p>
+<table>
+<thead><tr><th>#</th><th>Date</th><th>Trip</th><th>Description</th><th class="amount">Amount</th><th class="amount">Tax</th><th class="amount">Total ({{currency}})</th></tr></thead>
+<tbody>
+{{#each lines}}<tr><td>{{number}}</td><td>{{tripDate}}</td><td>{{tripId}}</td><td>{{description}}</td><td class="amount">{{amount}}</td><td class="amount">{{taxAmount}}</td><td class="amount">{{total}}</td></tr>
+{{#each charges}}<tr class="charge"><td></td><td></td><td></td><td>{{name}}</td><td class="amount">{{amount}}</td><td></td><td></td></tr>
+{{/each}}{{/each}}</tbody>
+<tfoot>
+<tr><td colspan="6" class="amount">Subtotal</td><td class="amount">{{subtotal}}</td></tr>
+<tr><td colspan="6" class="amount">Tax</td><td class="amount">{{totalTax}}</td></tr>
+<tr><td colspan="6" class="amount">Total {{currency}}</td><td class="amount">{{grandTotal}}</td></tr>
+</tfoot>
+</table>
+</body>
+</html>
+`
+  }),
+  new DocumentTemplate({
+    name: 'Default invoice (text)',
+    documentType: DocumentType.INVOICE,
+    format: TemplateFormat.TEXT,
+    body: `INVOICE {{invoiceNumber}}
+Client: {{clientId}}
+Billing period: {{periodStart}} to {{periodEnd}}
+Issued: {{issuedAt}}    Status: {{status}}
+
+{{#each lines}}{{number}}. {{tripDate}}  {{description}}  (trip {{tripId}})
+{{#each charges}}      {{name}}: {{amount}}
+{{/each}}      Amount {{amount}}  Tax {{taxAmount}}  Total {{total}}
+
+{{/each}}Subtotal: {{subtotal}}
+Tax: {{totalTax}}
+Total {{currency}}: {{grandTotal}}
+`
+  }),
+  new DocumentTemplate({
+    name: 'Default rate card (HTML)',
+    documentType: DocumentType.RATE_CARD,
+    format: TemplateFormat.HTML,
+    body: `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Rate card {{name}}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 32px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+  th, td { border-bottom: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  td.amount, th.amount { text-align: right; }
+</style>
+</head>
+<body>
+<h1>{{name}}</h1>
+<p>Client: {{clientId}}<br>Effective: {{effectiveFrom}} to {{effectiveTo}}<br>Status: {{status}}<br>Currency: {{currency}}</p>
+{{#if description}}<p>{{description}}</p>{{/if}}
+<table>
+<thead><tr><th>Service</th><th>Origin</th><th>Destination</th><th>Vehicle</th><th>Rate type</th><th class="amount">Base rate</th><th class="amount">Min charge</th><th>Slabs</th><th>Additional charges</th><th>Conditions</th></tr></thead>
+<tbody>
+{{#each items}}<tr><td>{{serviceCode}}</td><td>{{origin}}</td><td>{{destination}}</td><td>{{vehicleType}}</td><td>{{rateType}}</td><td class="amount">{{baseRate}}</td><td class="amount">{{minCharge}}</td><td>{{slabs}}</td><td>{{additionalCharges}}</td><td>{{conditions}}</td></tr>
+{{/each}}</tbody>
+</table>
+</body>
+</html>
+`
+  }),
+  new DocumentTemplate({
+    name: 'Default rate card (text)',
+    documentType: DocumentType.RATE_CARD,
+    format: TemplateFormat.TEXT,
+    body: `RATE CARD {{name}}
+Client: {{clientId}}
+Effective: {{effectiveFrom}} to {{effectiveTo}}    Status: {{status}}    Currency: {{currency}}
+
+{{#each items}}{{origin}} -> {{destination}}  [{{vehicleType}}]  {{serviceCode}}
+      {{rateType}}  base {{baseRate}}  min {{minCharge}}
+{{#if slabs}}      Slabs: {{slabs}}
+{{/if}}{{#if additionalCharges}}      Additional: {{additionalCharges}}
+{{/if}}{{#if conditions}}      Conditions: {{conditions}}
+{{/if}}
+{{/each}}`
+  })
+];
+
+/**
+ * Service for rendering invoices and rate cards to HTML, PDF and CSV, entirely offline
+ */
+class DocumentRenderer {
+  /**
+   * Constructor
+   * @param {DocumentTemplate[]} templates - Custom templates; client-specific ones take precedence
+   * @param {TextPdfWriter} pdfWriter - Writer used for PDF output
+   */
+  constructor(templates = [], pdfWriter = new TextPdfWriter()) {
+    this.templates = [...templates];
+    this.pdfWriter = pdfWriter;
+  }
+
+  /**
+   * Register a custom template
+   * @param {DocumentTemplate} template - The template to register
+   */
+  registerTemplate(template) {
+    this.templates.push(template);
+  }
+
+  /**
+   * Find the template for a document: the client's own, then a registered default, then built-in
+   * @param {DocumentType} documentType - The document type
+   * @param {TemplateFormat} format - The template format
+   * @param {string} clientId - The client the document is for
+   * @returns {DocumentTemplate} The template to use
+   */
+  getTemplate(documentType, format, clientId) {
+    const candidates = [...this.templates, ...DEFAULT_TEMPLATES].filter(template => 
+      template.documentType === documentType && template.format === format
+    );
+    return candidates.find(template => clientId && template.clientId === clientId) ||
+      candidates.find(template => !template.clientId);
+  }
+
+  /**
+   * Render an invoice as HTML
+   * @param {Invoice} invoice - The invoice
+   * @returns {string} The HTML document
+   */
+  renderInvoiceHtml(invoice) {
+    return this.getTemplate(DocumentType.INVOICE, TemplateFormat.HTML, invoice.clientId)
+      .render(this._invoiceView(invoice));
+  }
+
+  /**
+   * Render an invoice as PDF
+   * @param {Invoice} invoice - The invoice
+   * @returns {Buffer} The PDF document
+   */
+  renderInvoicePdf(invoice) {
+    const text = this.getTemplate(DocumentType.INVOICE, TemplateFormat.TEXT, invoice.clientId)
+      .render(this._invoiceView(invoice));
+    return this.pdfWriter.write(text, { title: `Invoice ${invoice.invoiceNumber || 'DRAFT'}` });
+  }
+
+  /**
+   * Render an invoice as CSV, one row per line, for finance uploads
+   * @param {Invoice} invoice - The invoice
+   * @returns {string} The CSV text
+   */
+  renderInvoiceCsv(invoice) {
+    const view = this._invoiceView(invoice);
+    const headers = [
+      'invoice_number', 'invoice_date', 'client_id', 'period_start', 'period_end', 'currency',
+      'line_number', 'trip_id', 'trip_date', 'description', 'rate_card_id', 'rate_card_version_id',
+      'amount', 'tax_amount', 'line_total'
+    ];
+    const rows = view.lines.map(line => [
+      view.invoiceNumber, view.issuedAt, view.clientId, view.periodStart, view.periodEnd, view.currency,
+      line.number, line.tripId, line.tripDate, line.description, line.rateCardId, line.rateCardVersionId,
+      line.amount, line.taxAmount, line.total
+    ]);
+    return toCsv(headers, rows);
+  }
+
+  /**
+   * Render a rate card as HTML
+   * @param {RateCard} rateCard - The rate card
+   * @returns {string} The HTML document
+   */
+  renderRateCardHtml(rateCard) {
+    return this.getTemplate(DocumentType.RATE_CARD, TemplateFormat.HTML, rateCard.clientId)
+      .render(this._rateCardView(rateCard));
+  }
+
+  /**
+   * Render a rate card as PDF
+   * @param {RateCard} rateCard - The rate card
+   * @returns {Buffer} The PDF document
+   */
+  renderRateCardPdf(rateCard) {
+    const text = this.getTemplate(DocumentType.RATE_CARD, TemplateFormat.TEXT, rateCard.clientId)
+      .render(this._rateCardView(rateCard));
+    return this.pdfWriter.write(text, { title: `Rate card ${rateCard.name}` });
+  }
+
+  /**
+   * Render a rate card as CSV, one row per rate item
+   * @param {RateCard} rateCard - The rate card
+   * @returns {string} The CSV text
+   */
+  renderRateCardCsv(rateCard) {
+    const view = this._rateCardView(rateCard);
+    const headers = [
+      'rate_card', 'client_id', 'currency', 'service_code', 'origin', 'destination', 'vehicle_type',
+      'rate_type', 'base_rate', 'min_charge', 'slabs', 'additional_charges', 'conditions'
+    ];
+    const rows = view.items.map(item => [
+      view.name, view.clientId, view.currency, item.serviceCode, item.origin, item.destination, item.vehicleType,
+      item.rateType, item.baseRate, item.minCharge, item.slabs, item.additionalCharges, item.conditions
+    ]);
+    return toCsv(headers, rows);
+  }
+
+  /**
+   * Build the values an invoice template can reference
+   * @param {Invoice} invoice - The invoice
+   * @returns {Object} The invoice view
+   * @private
+   */
+  _invoiceView(invoice) {
+    return {
+      invoiceNumber: invoice.invoiceNumber || 'DRAFT',
+      status: invoice.status,
+      clientId: invoice.clientId,
+      seriesCode: invoice.seriesCode,
+      currency: invoice.currency,
+      periodStart: formatDate(invoice.periodStart),
+      periodEnd: formatDate(invoice.periodEnd),
+      issuedAt: formatDate(invoice.issuedAt),
+      lines: invoice.lines.map((line, index) => ({
+        number: index + 1,
+        tripId: line.tripId,
+        tripDate: formatDate(line.tripDate),
+        description: line.description,
+        rateCardId: line.rateCardId,
+        rateCardVersionId: line.rateCardVersionId,
+        amount: line.amount.toFixed(2),
+        taxAmount: line.taxAmount.toFixed(2),
+        total: line.total().toFixed(2),
+        charges: chargeRows(line.breakdown)
+      })),
+      subtotal: invoice.subtotal().toFixed(2),
+      totalTax: invoice.totalTax().toFixed(2),
+      grandTotal: invoice.grandTotal().toFixed(2)
+    };
+  }
+
+  /**
+   * Build the values a rate card template can reference
+   * @param {RateCard} rateCard - The rate card
+   * @returns {Object} The rate card view
+   * @private
+   */
+  _rateCardView(rateCard) {
+    return {
+      name: rateCard.name,
+      clientId: rateCard.clientId,
+      description: rateCard.description,
+      status: rateCard.status,
+      currency: rateCard.currency,
+      effectiveFrom: formatDate(rateCard.effectiveFrom),
+      effectiveTo: formatDate(rateCard.effectiveTo) || 'open',
+      items: rateCard.rateItems.map(item => ({
+        serviceCode: item.serviceCode,
+        origin: item.origin,
+        destination: item.destination,
+        vehicleType: item.vehicleType,
+        rateType: item.rateType,
+        baseRate: Money.of(item.baseRate).toFixed(2),
+        minCharge: Money.of(item.minCharge).toFixed(2),
+        slabs: (item.slabs || [])
+          .map(slab => `${slab.minValue}-${slab.maxValue === null ? '' : slab.maxValue}: ` +
+            `${Money.of(slab.rate).toFixed(2)}${slab.isFlat ? ' flat' : ' per unit'}`)
+          .join('; '),
+        additionalCharges: item.additionalCharges
+          .map(charge => charge.describe())
+          .join('; '),
+        conditions: item.conditions
+          .map(condition => condition.describe())
+          .join('; ')
+      }))
+    };
+  }
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|null} date - The date
+ * @returns {string} The formatted date, or an empty string
+ */
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * List the charge components of a line from its ChargeCalculation breakdown,
+ * in the billing currency when the trip was converted
+ * @param {ChargeBreakdown|null} breakdown - The stored breakdown
+ * @returns {Array<{name: string, amount: string}>} Component rows
+ */
+function chargeRows(breakdown) {
+  if (!breakdown) {
+    return [];
+  }
+
+  const amounts = breakdown.converted || breakdown;
+  const format = amount => Money.of(amount).toFixed(2);
+  const rows = [{ name: 'Base charge', amount: format(amounts.baseCharge) }];
+
+  for (const { name, amount } of amounts.additionalCharges) {
+    rows.push({ name, amount: format(amount) });
+  }
+  if (amounts.fuelAdjustment !== 0) {
+    rows.push({ name: 'Fuel adjustment', amount: format(amounts.fuelAdjustment) });
+  }
+  for (const { name, amount } of amounts.surcharges) {
+    rows.push({ name, amount: format(amount) });
+  }
+  for (const { name, amount } of amounts.discounts) {
+    rows.push({ name, amount: format(-amount) });
+  }
+  if (amounts.roundingAdjustment) {
+    rows.push({ name: 'Rounding', amount: format(amounts.roundingAdjustment) });
+  }
+
+  return rows;
+}
+
+module.exports = DocumentRenderer;
\ No newline at end of file
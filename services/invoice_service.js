@@ -0,0 +1,297 @@
+/**
+ * Service for generating and managing client invoices
+ */
+class InvoiceService {
+  /**
+   * Constructor
+   * @param {InvoiceRepository} repository - Invoice and invoice series repository; saveIssued(invoice, series)
+   *   must persist both in one transaction
+   * @param {RateCardService} rateCardService - Rate card service used to rate trips
+   * @param {TaxEngine} taxEngine - Tax engine applied to each rated trip (optional)
+   * @param {AuthService} authService - Authentication service
+   */
+  constructor(repository, rateCardService, taxEngine, authService) {
+    this.repository = repository;
+    this.rateCardService = rateCardService;
+    this.taxEngine = taxEngine;
+    this.authService = authService;
+    this.seriesLocks = new Map();
+  }
+
+  /**
+   * Build draft invoices for a set of trips without saving them
+   * @param {TripData[]} trips - Trips to invoice; each must have clientId and tripDate
+   * @param {InvoiceOptions} options - periodStart, periodEnd, seriesCode and rating context
+   * @returns {Promise<InvoicePreview>} Draft invoices per client and trips that could not be rated
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async previewInvoices(trips, options) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'preview');
+    
+    return this._buildInvoices(trips, options);
+  }
+
+  /**
+   * Generate and save draft invoices for a set of trips
+   * @param {TripData[]} trips - Trips to invoice; each must have clientId and tripDate
+   * @param {InvoiceOptions} options - periodStart, periodEnd, seriesCode and rating context
+   * @returns {Promise<Invoice[]>} The saved draft invoices, one per client
+   * @throws {ValidationError} If any trip in the period cannot be rated
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async generateInvoices(trips, options) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'generate');
+    
+    const { invoices, errors } = await this._buildInvoices(trips, options);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    
+    const savedInvoices = [];
+    for (const invoice of invoices) {
+      savedInvoices.push(await this.repository.save(invoice));
+    }
+    
+    return savedInvoices;
+  }
+
+  /**
+   * Issue a draft invoice, assigning it the next number in its series
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Invoice>} The issued invoice
+   * @throws {NotFoundError} If the invoice or its series is not found
+   * @throws {ValidationError} If the invoice is not a draft or has no lines
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async issueInvoice(id) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'issue');
+    
+    const { seriesCode } = await this._getInvoice(id);
+    
+    // Numbers are taken one at a time per series and only at issue, so each is issued once and in order
+    return this._withSeriesLock(seriesCode, async () => {
+      // Re-read under the lock so a concurrent issue of the same invoice is rejected
+      const invoice = await this._getInvoice(id);
+      if (!invoice.canTransitionTo(InvoiceStatus.ISSUED)) {
+        throw new ValidationError(`Cannot issue invoice with status ${invoice.status}`);
+      }
+      
+      if (invoice.lines.length === 0) {
+        throw new ValidationError(`Cannot issue invoice ${id} without lines`);
+      }
+      
+      const series = await this.repository.findSeries(invoice.seriesCode);
+      if (!series) {
+        throw new NotFoundError(`Invoice series ${invoice.seriesCode} not found`);
+      }
+      
+      // The invoice and the series advance are saved together in one repository operation, so a
+      // number is neither handed out twice nor skipped when either save fails
+      invoice.issue(series.takeNextNumber(), this.authService.getCurrentUserId());
+      try {
+        return await this.repository.saveIssued(invoice, series);
+      } catch (error) {
+        series.releaseLastNumber();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Record payment of an issued invoice
+   * @param {string} id - Invoice ID
+   * @param {Date} paidAt - Date the payment was received
+   * @returns {Promise<Invoice>} The paid invoice
+   * @throws {NotFoundError} If the invoice is not found
+   * @throws {ValidationError} If the invoice is not issued
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async markInvoicePaid(id, paidAt = new Date()) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'mark_paid');
+    
+    const invoice = await this._getInvoice(id);
+    if (!invoice.canTransitionTo(InvoiceStatus.PAID)) {
+      throw new ValidationError(`Cannot mark invoice with status ${invoice.status} as paid`);
+    }
+    
+    invoice.markPaid(paidAt);
+    return this.repository.save(invoice);
+  }
+
+  /**
+   * Void a draft or issued invoice
+   * @param {string} id - Invoice ID
+   * @param {string} reason - Why the invoice is voided
+   * @returns {Promise<Invoice>} The voided invoice
+   * @throws {NotFoundError} If the invoice is not found
+   * @throws {ValidationError} If no reason is given or the invoice is paid or already void
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async voidInvoice(id, reason) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'void');
+    
+    if (!reason) {
+      throw new ValidationError('A reason is required to void an invoice');
+    }
+    
+    const invoice = await this._getInvoice(id);
+    if (!invoice.canTransitionTo(InvoiceStatus.VOID)) {
+      throw new ValidationError(`Cannot void invoice with status ${invoice.status}`);
+    }
+    
+    invoice.void(reason);
+    return this.repository.save(invoice);
+  }
+
+  /**
+   * Get invoice by ID
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Invoice>} The invoice
+   * @throws {NotFoundError} If the invoice is not found
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async getInvoice(id) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'read');
+    
+    return this._getInvoice(id);
+  }
+
+  /**
+   * List invoices with optional filtering
+   * @param {InvoiceFilter} filters - Filters to apply (clientId, status, seriesCode)
+   * @returns {Promise<InvoiceList>} List of invoices with pagination
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async listInvoices(filters) {
+    // Check authorization
+    this.authService.checkPermission('invoice', 'list');
+    
+    return await this.repository.findAll(filters);
+  }
+
+  /**
+   * Rate trips within the billing period and group them into one draft invoice per client
+   * @param {TripData[]} trips - Trips to invoice
+   * @param {InvoiceOptions} options - Billing period, series and rating context
+   * @returns {Promise<InvoicePreview>} Draft invoices and per-trip rating errors
+   * @private
+   */
+  async _buildInvoices(trips, { periodStart, periodEnd, seriesCode = 'INV', context = {} }) {
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+    const invoicesByClient = new Map();
+    const errors = [];
+    
+    for (const trip of trips) {
+      const tripDate = new Date(trip.tripDate);
+      if (tripDate < start || tripDate > end) {
+        continue;
+      }
+      
+      let line;
+      try {
+        line = this._createLine(trip, await this.rateCardService.rateTrip(trip, context));
+      } catch (error) {
+        errors.push({ tripId: trip.id, clientId: trip.clientId, code: error.code, message: error.message });
+        continue;
+      }
+      
+      if (!invoicesByClient.has(trip.clientId)) {
+        invoicesByClient.set(trip.clientId, new Invoice({
+          seriesCode,
+          clientId: trip.clientId,
+          periodStart: start,
+          periodEnd: end,
+          currency: line.currency,
+          createdBy: this.authService.getCurrentUserId()
+        }));
+      }
+      
+      try {
+        invoicesByClient.get(trip.clientId).addLine(line);
+      } catch (error) {
+        errors.push({
+          tripId: trip.id,
+          clientId: trip.clientId,
+          code: RatingErrorCode.CURRENCY_MISMATCH,
+          message: error.message
+        });
+      }
+    }
+    
+    return { invoices: [...invoicesByClient.values()], errors };
+  }
+
+  /**
+   * Create an invoice line from a rated trip. Converted amounts are used when the trip
+   * was rated into a billing currency; tax is converted at the same rate.
+   * @param {TripData} trip - The trip
+   * @param {TripRating} rating - Result of rating the trip
+   * @returns {InvoiceLine} The invoice line
+   * @private
+   */
+  _createLine(trip, { rateCard, rateCardVersionId, calculation }) {
+    if (this.taxEngine) {
+      this.taxEngine.applyTax(calculation, trip);
+    }
+    
+    const taxAmount = calculation.tax ? calculation.tax.payableTax() : Money.zero();
+    const conversion = calculation.conversion;
+    
+    return new InvoiceLine({
+      tripId: trip.id,
+      tripDate: trip.tripDate,
+      description: `${new Trip(trip).stops.map(stop => stop.location).join(' - ')}${trip.vehicleType ? ` (${trip.vehicleType})` : ''}`,
+      rateCardId: rateCard.id,
+      rateCardVersionId,
+      currency: conversion ? conversion.currency : calculation.currency,
+      amount: conversion ? conversion.totalCharge : calculation.totalCharge,
+      taxAmount: conversion ? calculation.roundingPolicy.round(conversion.convert(taxAmount)) : taxAmount,
+      breakdown: calculation.breakdown()
+    });
+  }
+
+  /**
+   * Get an invoice or fail
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Invoice>} The invoice
+   * @throws {NotFoundError} If the invoice is not found
+   * @private
+   */
+  async _getInvoice(id) {
+    const invoice = await this.repository.findById(id);
+    if (!invoice) {
+      throw new NotFoundError(`Invoice with ID ${id} not found`);
+    }
+    return invoice;
+  }
+
+  /**
+   * Run a task while holding the numbering lock for a series
+   * @param {string} seriesCode - The series code
+   * @param {function(): Promise<*>} task - The task to run
+   * @returns {Promise<*>} The task's result
+   * @private
+   */
+  async _withSeriesLock(seriesCode, task) {
+    const previous = this.seriesLocks.get(seriesCode) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.seriesLocks.set(seriesCode, current);
+    
+    try {
+      return await current;
+    } finally {
+      if (this.seriesLocks.get(seriesCode) === current) {
+        this.seriesLocks.delete(seriesCode);
+      }
+    }
+  }
+}
+
+module.exports = InvoiceService;
\ No newline at end of file
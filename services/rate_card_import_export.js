@@ -0,0 +1,547 @@
+/**
+ * Rate card import/export - Converts rate items to and from CSV, Excel-friendly CSV and JSON
+ *
+ * CSV files hold one rate item per row. Lanes use the rate item patterns as they are
+ * (e.g. origin MH, destination 400001-400099, vehicleType @32FT_CONTAINER), and bidirectional
+ * is TRUE or FALSE (blank). Nested data uses a compact cell syntax:
+ *   slabs              0-100:12|100-500:10|500-:8:FLAT         (min-max:rate, open-ended max, optional FLAT)
+ *   conditions         weight GREATER_THAN 100;loadType IN FTL,PTL;deliveryTime IS_HOLIDAY IN-MH @destination
+ *   additionalCharges  Loading:LOADING:500|Levy:OTHER:2%|Detention:DETENTION:800[waitingHours GREATER_THAN 4]
+ *   zoneRates          NORTH>SOUTH:45|SOUTH>NORTH:40
+ * Pricing rules, condition groups (AND/OR/NOT), quantity-based charges, band-based fuel
+ * adjustments and chargeable weight rules are only carried by the JSON format.
+ */
+
+const RATE_ITEM_COLUMNS = [
+  'id',
+  'serviceCode',
+  'origin',
+  'destination',
+  'vehicleType',
+  'rateType',
+  'baseRate',
+  'minCharge',
+  'priority',
+  'bidirectional',
+  'slabParameter',
+  'slabMode',
+  'slabs',
+  'zoneRates',
+  'conditions',
+  'additionalCharges',
+  'fuelBasePrice',
+  'fuelCurrentPrice',
+  'fuelAdjustmentFactor',
+  'fuelPriceIndex',
+  'fuelRegion',
+  'fuelBasis'
+];
+
+const REQUIRED_COLUMNS = ['origin', 'destination', 'vehicleType', 'rateType'];
+
+// Cells starting with these are run as formulas by spreadsheet applications
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const NUMBER_PATTERN = '-?\\d+(?:\\.\\d+)?';
+const SLAB_PATTERN = new RegExp(`^(${NUMBER_PATTERN})-(${NUMBER_PATTERN})?:(${NUMBER_PATTERN})(:FLAT)?$`, 'i');
+const CHARGE_PATTERN = new RegExp(`^([^:\\[]+):([A-Z_]+):(${NUMBER_PATTERN})(%?)(?:\\[(.*)\\])?$`);
+const ZONE_RATE_PATTERN = new RegExp(`^([^>]+)>([^:]+):(${NUMBER_PATTERN})$`);
+const CONDITION_PATTERN = /^(\S+)\s+([A-Z_]+)\s+(.+?)(?:\s+@(\S+))?$/;
+
+class RateCardImportExport {
+  /**
+   * Parse rate item data from an import file. Nothing is saved; the result can be shown
+   * as a preview or handed to RateCardService.importRateItems.
+   * @param {string} content - The file content
+   * @param {RateCardFileFormat} format - The file format
+   * @returns {RateItemImport} Parsed items ({row, data}) and row-level errors ({row, field, message}).
+   *   For CSV, row is the spreadsheet row number (the header is row 1); for JSON it is the
+   *   1-based position of the item in the array.
+   */
+  parse(content, format = RateCardFileFormat.CSV) {
+    return format === RateCardFileFormat.JSON
+      ? this._parseJson(content)
+      : this._parseCsv(content);
+  }
+
+  /**
+   * Export a rate card's items
+   * @param {RateCard} rateCard - The rate card to export
+   * @param {RateCardFileFormat} format - The file format
+   * @returns {string} The file content. JSON exports also carry the card's name, client,
+   *   currency and effective dates.
+   * @throws {ValidationError} If the items use data that only the JSON format can carry
+   */
+  exportRateCard(rateCard, format = RateCardFileFormat.CSV) {
+    if (format === RateCardFileFormat.JSON) {
+      return JSON.stringify({
+        name: rateCard.name,
+        clientId: rateCard.clientId,
+        currency: rateCard.currency,
+        effectiveFrom: rateCard.effectiveFrom,
+        effectiveTo: rateCard.effectiveTo,
+        rateItems: rateCard.rateItems.map(item => withoutOwnerIds(item))
+      }, null, 2);
+    }
+    
+    const excel = format === RateCardFileFormat.EXCEL_CSV;
+    const rows = rateCard.rateItems.map(item => this._itemToRow(item)
+      .map(value => (excel ? guardFormula(value) : value)));
+    const csv = toCsv(RATE_ITEM_COLUMNS, rows, { lineEnding: excel ? '\r\n' : '\n' });
+    
+    // A byte order mark makes Excel open the file as UTF-8
+    return excel ? `\uFEFF${csv}` : csv;
+  }
+
+  /**
+   * Parse a CSV import
+   * @param {string} content - CSV text
+   * @returns {RateItemImport} Parsed items and row-level errors
+   * @private
+   */
+  _parseCsv(content) {
+    const items = [];
+    const errors = [];
+    
+    let rows;
+    try {
+      rows = parseCsv(content);
+    } catch (error) {
+      return { items, errors: [{ row: null, field: null, message: error.message }] };
+    }
+    
+    if (rows.length === 0) {
+      return { items, errors: [{ row: null, field: null, message: 'File is empty' }] };
+    }
+    
+    const headers = rows[0].map(header => header.trim());
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      errors.push({ row: 1, field: null, message: `Missing required columns: ${missingColumns.join(', ')}` });
+      return { items, errors };
+    }
+    
+    rows.slice(1).forEach((values, index) => {
+      const row = index + 2;
+      if (values.every(value => value.trim() === '')) {
+        return; // Skip blank lines
+      }
+      
+      const record = {};
+      headers.forEach((header, column) => {
+        record[header] = unguardFormula((values[column] || '').trim());
+      });
+      
+      const rowErrors = [];
+      const data = this._recordToItemData(record, row, rowErrors);
+      this._validateItemData(data, row, rowErrors);
+      
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+      } else {
+        items.push({ row, data });
+      }
+    });
+    
+    return { items, errors };
+  }
+
+  /**
+   * Parse a JSON import: an array of rate items, or an object with a rateItems array
+   * @param {string} content - JSON text
+   * @returns {RateItemImport} Parsed items and row-level errors
+   * @private
+   */
+  _parseJson(content) {
+    const items = [];
+    const errors = [];
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return { items, errors: [{ row: null, field: null, message: `Invalid JSON: ${error.message}` }] };
+    }
+    
+    const itemsData = Array.isArray(parsed) ? parsed : parsed && parsed.rateItems;
+    if (!Array.isArray(itemsData)) {
+      return { items, errors: [{ row: null, field: null, message: 'Expected an array of rate items' }] };
+    }
+    
+    itemsData.forEach((data, index) => {
+      const row = index + 1;
+      const rowErrors = [];
+      this._validateItemData(data, row, rowErrors);
+      
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+      } else {
+        items.push({ row, data });
+      }
+    });
+    
+    return { items, errors };
+  }
+
+  /**
+   * Convert a CSV record (column name to cell text) into rate item data
+   * @param {Object} record - The cells of one row, keyed by column name
+   * @param {number} row - Row number, for error reporting
+   * @param {Object[]} errors - Row errors, appended to
+   * @returns {RateItemDTO} The rate item data
+   * @private
+   */
+  _recordToItemData(record, row, errors) {
+    const data = {
+      serviceCode: record.serviceCode || undefined,
+      origin: record.origin,
+      destination: record.destination,
+      vehicleType: record.vehicleType,
+      rateType: record.rateType ? record.rateType.toUpperCase() : record.rateType,
+      baseRate: record.baseRate === undefined || record.baseRate === '' ? 0 : record.baseRate,
+      minCharge: record.minCharge || 0,
+      priority: record.priority || 0
+    };
+    
+    if (record.id) {
+      data.id = record.id;
+    }
+    if (record.slabParameter) {
+      data.slabParameter = record.slabParameter;
+    }
+    if (record.slabMode) {
+      data.slabMode = record.slabMode.toUpperCase();
+    }
+    if (record.bidirectional) {
+      if (/^(TRUE|YES|1)$/i.test(record.bidirectional)) {
+        data.bidirectional = true;
+      } else if (!/^(FALSE|NO|0)$/i.test(record.bidirectional)) {
+        errors.push({ row, field: 'bidirectional', message: `bidirectional must be TRUE or FALSE, got "${record.bidirectional}"` });
+      }
+    }
+    
+    const cellParsers = {
+      slabs: parseSlabs,
+      zoneRates: parseZoneRates,
+      conditions: parseConditions,
+      additionalCharges: parseCharges
+    };
+    for (const [field, parseCell] of Object.entries(cellParsers)) {
+      try {
+        data[field] = record[field] ? parseCell(record[field]) : [];
+      } catch (error) {
+        errors.push({ row, field, message: error.message });
+      }
+    }
+    
+    if (record.fuelBasePrice) {
+      data.fuelAdjustment = {
+        enabled: true,
+        basePrice: record.fuelBasePrice,
+        currentPrice: record.fuelCurrentPrice || record.fuelBasePrice,
+        adjustmentFactor: record.fuelAdjustmentFactor || 0,
+        priceIndex: record.fuelPriceIndex || null,
+        region: record.fuelRegion || null,
+        basis: record.fuelBasis || FuelAdjustmentBasis.BASE_CHARGE
+      };
+    }
+    
+    return data;
+  }
+
+  /**
+   * Check rate item data for the problems an import can report per row
+   * @param {RateItemDTO} data - The rate item data
+   * @param {number} row - Row number, for error reporting
+   * @param {Object[]} errors - Row errors, appended to
+   * @private
+   */
+  _validateItemData(data, row, errors) {
+    if (!data || typeof data !== 'object') {
+      errors.push({ row, field: null, message: 'Rate item must be an object' });
+      return;
+    }
+    
+    for (const field of REQUIRED_COLUMNS) {
+      if (!data[field]) {
+        errors.push({ row, field, message: `${field} is required` });
+      }
+    }
+    
+    if (data.rateType && !Object.values(RateType).includes(data.rateType)) {
+      errors.push({ row, field: 'rateType', message: `Unknown rate type: ${data.rateType}` });
+    }
+    
+    if (data.slabMode && !Object.values(SlabMode).includes(data.slabMode)) {
+      errors.push({ row, field: 'slabMode', message: `Unknown slab mode: ${data.slabMode}` });
+    }
+    
+    for (const field of ['baseRate', 'minCharge', 'priority']) {
+      if (data[field] !== undefined && !isNumeric(data[field])) {
+        errors.push({ row, field, message: `${field} must be a number, got "${data[field]}"` });
+      }
+    }
+    
+    if (data.rateType === RateType.SLAB_BASED && (!data.slabs || data.slabs.length === 0)) {
+      errors.push({ row, field: 'slabs', message: 'Slab-based rates need at least one slab' });
+    }
+    
+    if (data.rateType === RateType.ZONE_BASED && (!data.zoneRates || data.zoneRates.length === 0)) {
+      errors.push({ row, field: 'zoneRates', message: 'Zone-based rates need at least one zone rate' });
+    }
+    
+    for (const charge of data.additionalCharges || []) {
+      if (!Object.values(ChargeType).includes(charge.type)) {
+        errors.push({ row, field: 'additionalCharges', message: `Unknown charge type: ${charge.type}` });
+      }
+    }
+    
+    // Conditions get the validator's checks, which recurse into condition groups
+    const validator = new RateCardValidator(null);
+    const conditionResults = [
+      validator.validateConditions(data.conditions || [], 'conditions'),
+      ...(data.additionalCharges || []).map((charge, index) =>
+        validator.validateConditions(charge.conditions || [], `additionalCharges[${index}].conditions`))
+    ];
+    for (const error of conditionResults.flatMap(conditionResult => conditionResult.errors)) {
+      errors.push({ row, field: error.path, message: error.message });
+    }
+  }
+
+  /**
+   * Convert a rate item to CSV cell values, in RATE_ITEM_COLUMNS order
+   * @param {RateItem} item - The rate item
+   * @returns {Array<*>} The cell values
+   * @throws {ValidationError} If the item uses data the cell syntax can't express
+   * @private
+   */
+  _itemToRow(item) {
+    const fuel = item.fuelAdjustment && item.fuelAdjustment.enabled ? item.fuelAdjustment : null;
+    if (fuel && fuel.method === FuelAdjustmentMethod.BAND) {
+      throw new ValidationError(`Band-based fuel adjustment of rate item ${item.id} can only be exported as JSON`);
+    }
+    if (fuel && (fuel.floorPercent !== null || fuel.capPercent !== null)) {
+      throw new ValidationError(`Fuel adjustment floor and cap of rate item ${item.id} can only be exported as JSON`);
+    }
+    if (item.chargeableWeightRule && item.chargeableWeightRule.isConfigured()) {
+      throw new ValidationError(`Chargeable weight rule of rate item ${item.id} can only be exported as JSON`);
+    }
+    if (item.pricingRules && item.pricingRules.length > 0) {
+      throw new ValidationError(`Pricing rules of rate item ${item.id} can only be exported as JSON`);
+    }
+    
+    return [
+      item.id,
+      item.serviceCode,
+      item.origin,
+      item.destination,
+      item.vehicleType,
+      item.rateType,
+      item.baseRate,
+      item.minCharge,
+      item.priority,
+      item.bidirectional ? 'TRUE' : '',
+      item.slabParameter,
+      item.slabMode,
+      formatSlabs(item.slabs || []),
+      formatZoneRates(item.zoneRates || []),
+      formatConditions(item.conditions || []),
+      formatCharges(item.additionalCharges || []),
+      fuel ? fuel.basePrice : '',
+      fuel ? fuel.currentPrice : '',
+      fuel ? fuel.adjustmentFactor : '',
+      fuel ? fuel.priceIndex : '',
+      fuel ? fuel.region : '',
+      fuel ? fuel.basis : ''
+    ];
+  }
+}
+
+/**
+ * Parse a slabs cell, e.g. "0-100:12|100-:10:FLAT"
+ * @param {string} text - Cell text
+ * @returns {RateSlabDTO[]} Slab data
+ * @throws {Error} If a slab is malformed
+ */
+function parseSlabs(text) {
+  return splitCell(text, '|').map(part => {
+    const match = SLAB_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`Invalid slab "${part}", expected min-max:rate`);
+    }
+    return {
+      minValue: parseFloat(match[1]),
+      maxValue: match[2] === undefined ? null : parseFloat(match[2]),
+      rate: parseFloat(match[3]),
+      isFlat: Boolean(match[4])
+    };
+  });
+}
+
+/**
+ * Parse a zone rates cell, e.g. "NORTH>SOUTH:45|SOUTH>NORTH:40"
+ * @param {string} text - Cell text
+ * @returns {ZoneRateDTO[]} Zone rate data
+ * @throws {Error} If a zone rate is malformed
+ */
+function parseZoneRates(text) {
+  return splitCell(text, '|').map(part => {
+    const match = ZONE_RATE_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`Invalid zone rate "${part}", expected ORIGIN>DESTINATION:rate`);
+    }
+    return {
+      originZone: match[1].trim(),
+      destinationZone: match[2].trim(),
+      rate: parseFloat(match[3])
+    };
+  });
+}
+
+/**
+ * Parse a conditions cell, e.g. "weight GREATER_THAN 100;loadType IN FTL,PTL". A temporal
+ * condition may end with "@location" to read its timestamp in that trip location's time zone.
+ * @param {string} text - Cell text
+ * @returns {RateConditionDTO[]} Condition data
+ * @throws {Error} If a condition is malformed
+ */
+function parseConditions(text) {
+  return splitCell(text, ';').map(part => {
+    const match = CONDITION_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`Invalid condition "${part}", expected "parameter OPERATOR value [@location]"`);
+    }
+    return { parameter: match[1], operator: match[2], value: match[3].trim(), timeZoneLocation: match[4] || null };
+  });
+}
+
+/**
+ * Parse an additional charges cell, e.g. "Loading:LOADING:500|Levy:OTHER:2%"
+ * @param {string} text - Cell text
+ * @returns {AdditionalChargeDTO[]} Charge data
+ * @throws {Error} If a charge is malformed
+ */
+function parseCharges(text) {
+  return splitCell(text, '|').map(part => {
+    const match = CHARGE_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`Invalid additional charge "${part}", expected name:TYPE:value`);
+    }
+    return {
+      name: match[1].trim(),
+      type: match[2],
+      value: parseFloat(match[3]),
+      isPercentage: match[4] === '%',
+      conditions: match[5] ? parseConditions(match[5]) : []
+    };
+  });
+}
+
+/**
+ * Format slabs as a cell
+ * @param {RateSlab[]} slabs - The slabs
+ * @returns {string} Cell text
+ */
+function formatSlabs(slabs) {
+  return slabs
+    .map(slab => `${slab.minValue}-${slab.maxValue === null ? '' : slab.maxValue}:${slab.rate}${slab.isFlat ? ':FLAT' : ''}`)
+    .join('|');
+}
+
+/**
+ * Format zone rates as a cell
+ * @param {ZoneRate[]} zoneRates - The zone rates
+ * @returns {string} Cell text
+ */
+function formatZoneRates(zoneRates) {
+  return zoneRates.map(zoneRate => `${zoneRate.originZone}>${zoneRate.destinationZone}:${zoneRate.rate}`).join('|');
+}
+
+/**
+ * Format conditions as a cell
+ * @param {RateCondition[]} conditions - The conditions
+ * @returns {string} Cell text
+ * @throws {ValidationError} If a condition is a group, which the cell syntax can't express
+ */
+function formatConditions(conditions) {
+  return conditions
+    .map(condition => {
+      if (condition instanceof ConditionGroup) {
+        throw new ValidationError(`Condition group ${condition.describe()} can only be exported as JSON`);
+      }
+      return condition.describe();
+    })
+    .join(';');
+}
+
+/**
+ * Format additional charges as a cell
+ * @param {AdditionalCharge[]} charges - The charges
+ * @returns {string} Cell text
+ * @throws {ValidationError} If a charge is quantity-based, which the cell syntax can't express
+ */
+function formatCharges(charges) {
+  return charges
+    .map(charge => {
+      if (charge.isQuantityBased()) {
+        throw new ValidationError(`Quantity-based charge ${charge.describe()} can only be exported as JSON`);
+      }
+      const conditions = charge.conditions && charge.conditions.length > 0
+        ? `[${formatConditions(charge.conditions)}]`
+        : '';
+      return `${charge.name}:${charge.type}:${charge.value}${charge.isPercentage ? '%' : ''}${conditions}`;
+    })
+    .join('|');
+}
+
+/**
+ * Split a cell into its non-empty, trimmed parts
+ * @param {string} text - Cell text
+ * @param {string} separator - Part separator
+ * @returns {string[]} The parts
+ */
+function splitCell(text, separator) {
+  return text.split(separator).map(part => part.trim()).filter(part => part !== '');
+}
+
+/**
+ * Check if a value is a finite number or numeric string
+ * @param {*} value - The value
+ * @returns {boolean} True if numeric
+ */
+function isNumeric(value) {
+  return value !== '' && value !== null && Number.isFinite(Number(value));
+}
+
+/**
+ * Stop spreadsheet applications from running a text cell as a formula
+ * @param {*} value - Cell value
+ * @returns {*} The value, prefixed with an apostrophe if it would be read as a formula
+ */
+function guardFormula(value) {
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value) && !isNumeric(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+/**
+ * Remove the apostrophe added by guardFormula
+ * @param {string} value - Cell text
+ * @returns {string} The original text
+ */
+function unguardFormula(value) {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * Plain copy of a rate item without the ids tying it and its children to a rate card
+ * @param {RateItem} item - The rate item
+ * @returns {RateItemDTO} Rate item data
+ */
+function withoutOwnerIds(item) {
+  return JSON.parse(JSON.stringify(item), (key, value) =>
+    (key === 'rateCardId' || key === 'rateItemId' ? undefined : value));
+}
+
+module.exports = RateCardImportExport;
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Rate card scheduler - Keeps stored rate card statuses in step with their effective dates:
+ * approved cards become ACTIVE on their effectiveFrom and active cards become EXPIRED after
+ * their effectiveTo. Also warns about clients about to be left without an active rate card.
+ *
+ * Call run() on demand (e.g. from a cron job) or start() to run it on an interval.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RateCardScheduler {
+  /**
+   * Constructor
+   * @param {RateCardRepository} repository - Rate card repository
+   * @param {WorkflowService} workflowService - Workflow service, which records the transitions
+   * @param {Object} options - clock: function returning the current time (defaults to the system
+   *   clock); warningDays: how far ahead to look for cards expiring without a successor (default 14);
+   *   userId: user recorded on the transitions (default "system")
+   */
+  constructor(repository, workflowService, { clock = () => new Date(), warningDays = 14, userId = 'system' } = {}) {
+    this.repository = repository;
+    this.workflowService = workflowService;
+    this.clock = clock;
+    this.warningDays = warningDays;
+    this.userId = userId;
+    this.timer = null;
+  }
+
+  /**
+   * Activate and expire rate cards as of now, then look for coverage gaps
+   * @returns {Promise<SchedulerRunResult>} IDs of the cards activated and expired, and warnings
+   *   ({clientId, rateCardId, effectiveTo, message}) for clients about to have, or now having,
+   *   no active rate card
+   */
+  async run() {
+    const now = this.clock();
+    const activated = [];
+    const expired = [];
+    
+    const { items } = await this.repository.findAll({
+      status: [RateCardStatus.APPROVED, RateCardStatus.ACTIVE]
+    });
+    
+    for (const rateCard of items) {
+      let changed = false;
+      
+      if (rateCard.status === RateCardStatus.APPROVED && rateCard.effectiveFrom <= now) {
+        this.workflowService.activate(rateCard, this.userId);
+        activated.push(rateCard.id);
+        changed = true;
+      }
+      
+      // A card can lapse before the scheduler ever saw it become active
+      if (rateCard.status === RateCardStatus.ACTIVE && rateCard.isExpired(now)) {
+        this.workflowService.expire(rateCard, this.userId);
+        expired.push(rateCard.id);
+        changed = true;
+      }
+      
+      if (changed) {
+        await this.repository.save(rateCard);
+      }
+    }
+    
+    return {
+      runAt: now,
+      activated,
+      expired,
+      warnings: this._findCoverageGaps(items, expired, now)
+    };
+  }
+
+  /**
+   * Run the scheduler every intervalMs until stop() is called. Errors from a run are passed
+   * to onError rather than stopping the schedule.
+   * @param {number} intervalMs - Interval between runs (default one hour)
+   * @param {Function} onError - Called with any error thrown by a run
+   */
+  start(intervalMs = 60 * 60 * 1000, onError = () => {}) {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.run().catch(onError);
+    }, intervalMs);
+    
+    // Don't keep the process alive just for the schedule
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop running on an interval
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Find clients whose active rate card expires within the warning window, or has just
+   * expired, with no approved or active card to follow it
+   * @param {RateCard[]} rateCards - Approved and active cards, with statuses as of this run
+   * @param {string[]} expiredIds - IDs of the cards expired in this run
+   * @param {Date} now - Current time
+   * @returns {Object[]} The warnings
+   * @private
+   */
+  _findCoverageGaps(rateCards, expiredIds, now) {
+    const warnings = [];
+    const horizon = new Date(now.getTime() + this.warningDays * DAY_MS);
+    const upcoming = rateCards.filter(card =>
+      card.status === RateCardStatus.APPROVED || card.status === RateCardStatus.ACTIVE
+    );
+    
+    for (const rateCard of rateCards) {
+      const justExpired = expiredIds.includes(rateCard.id);
+      const expiringSoon = rateCard.status === RateCardStatus.ACTIVE &&
+        rateCard.effectiveTo && rateCard.effectiveTo <= horizon;
+      
+      if (!justExpired && !expiringSoon) {
+        continue;
+      }
+      
+      // A successor must take over by the day after this card ends
+      const hasSuccessor = upcoming.some(other =>
+        other.id !== rateCard.id &&
+        other.clientId === rateCard.clientId &&
+        other.effectiveFrom > rateCard.effectiveFrom &&
+        other.effectiveFrom.getTime() <= rateCard.effectiveTo.getTime() + DAY_MS
+      );
+      if (hasSuccessor) {
+        continue;
+      }
+      
+      const until = rateCard.effectiveTo.toISOString().slice(0, 10);
+      warnings.push({
+        clientId: rateCard.clientId,
+        rateCardId: rateCard.id,
+        effectiveTo: rateCard.effectiveTo,
+        message: justExpired
+          ? `Client ${rateCard.clientId} has had no active rate card since "${rateCard.name}" expired on ${until}`
+          : `Rate card "${rateCard.name}" for client ${rateCard.clientId} expires on ${until} with no rate card to follow it`
+      });
+    }
+    
+    return warnings;
+  }
+}
+
+module.exports = RateCardScheduler;
\ No newline at end of file
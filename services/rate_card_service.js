@@ -38,7 +38,7 @@ class RateCardService {
     }
     
     // Check for overlapping date ranges
-    const overlapResult = this.validator.checkForOverlaps(rateCardData);
+    const overlapResult = await this.validator.checkForOverlaps(rateCardData);
     if (!overlapResult.isValid) {
       throw new ValidationError(overlapResult.errors);
     }
@@ -50,6 +50,9 @@ class RateCardService {
       description: rateCardData.description,
       effectiveFrom: new Date(rateCardData.effectiveFrom),
       effectiveTo: rateCardData.effectiveTo ? new Date(rateCardData.effectiveTo) : null,
+      currency: rateCardData.currency,
+      multiStopMode: rateCardData.multiStopMode,
+      roundingPolicy: new RoundingPolicy(rateCardData.roundingPolicy || {}),
       status: RateCardStatus.DRAFT,
       createdBy: this.authService.getCurrentUserId(),
       createdAt: new Date(),
@@ -70,20 +73,27 @@ class RateCardService {
       }
     }
     
+    // Card-level pricing rules apply to the trip's total; validateRateCard has checked them
+    rateCard.pricingRules = RateItemFactory.createPricingRules(rateCardData.pricingRules, { rateCardId: rateCard.id });
+    
     // Save to repository
     const savedRateCard = await this.repository.save(rateCard);
     
     // Create initial version
-    const version = savedRateCard.createNewVersion();
-    await this.repository.saveVersion(version);
+    await this._createVersion(savedRateCard);
     
     return savedRateCard;
   }
 
   /**
-   * Update an existing rate card
+   * Update an existing rate card, recording the result as a new version. Draft and rejected
+   * cards are edited in place. Approved and active cards are revised: the card goes back to
+   * draft for approval, and its changes go into a pending version that takes over from the
+   * current one on versionEffectiveFrom once the card is approved again.
    * @param {string} id - Rate card ID
-   * @param {RateCardDTO} rateCardData - The updated rate card data
+   * @param {RateCardDTO} rateCardData - The updated rate card data, with versionEffectiveFrom
+   *   (required for a revision): the date the new version's rates apply from, not before the
+   *   current version's effectiveFrom
    * @returns {Promise<RateCard>} The updated rate card
    * @throws {NotFoundError} If rate card is not found
    * @throws {ValidationError} If validation fails
@@ -100,26 +110,47 @@ class RateCardService {
     }
     
     // Check if update is allowed based on status
-    if (existingRateCard.status !== RateCardStatus.DRAFT && 
+    const revising = existingRateCard.status === RateCardStatus.APPROVED ||
+      existingRateCard.status === RateCardStatus.ACTIVE;
+    if (!revising &&
+        existingRateCard.status !== RateCardStatus.DRAFT && 
         existingRateCard.status !== RateCardStatus.REJECTED) {
       throw new ValidationError(`Cannot update rate card with status ${existingRateCard.status}`);
     }
     
-    // Validate updated data
-    const validationResult = this.validator.validateRateCard(rateCardData);
+    // Changes to an approved card, or to one already under revision, wait for approval
+    const versionEffectiveFrom = rateCardData.versionEffectiveFrom
+      ? new Date(rateCardData.versionEffectiveFrom)
+      : undefined;
+    const pendingApproval = revising || existingRateCard.isUnderRevision();
+    
+    // Validate the card as it will be after the update; fields not in rateCardData are kept
+    const mergedData = {
+      id: existingRateCard.id, // Include ID to exclude this card from overlap check
+      name: existingRateCard.name,
+      clientId: existingRateCard.clientId,
+      effectiveFrom: existingRateCard.effectiveFrom,
+      effectiveTo: existingRateCard.effectiveTo,
+      rateItems: existingRateCard.rateItems,
+      ...rateCardData
+    };
+    const validationResult = this.validator.validateRateCard(mergedData);
     if (!validationResult.isValid) {
       throw new ValidationError(validationResult.errors);
     }
     
     // Check for overlaps (excluding this rate card)
-    const overlapResult = this.validator.checkForOverlaps({
-      ...rateCardData,
-      id: existingRateCard.id // Include ID to exclude this card from overlap check
-    });
+    const overlapResult = await this.validator.checkForOverlaps(mergedData);
     if (!overlapResult.isValid) {
       throw new ValidationError(overlapResult.errors);
     }
     
+    // Versions follow each other: none may start before the card's current version
+    if (pendingApproval) {
+      this._checkRevision(existingRateCard, rateCardData, versionEffectiveFrom);
+    }
+    await this._checkVersionEffectiveFrom(existingRateCard, versionEffectiveFrom);
+    
     // Update properties
     existingRateCard.name = rateCardData.name || existingRateCard.name;
     existingRateCard.description = rateCardData.description || existingRateCard.description;
@@ -132,6 +163,32 @@ class RateCardService {
       existingRateCard.effectiveTo = rateCardData.effectiveTo ? new Date(rateCardData.effectiveTo) : null;
     }
     
+    if (rateCardData.multiStopMode) {
+      existingRateCard.multiStopMode = rateCardData.multiStopMode;
+    }
+    
+    // The new version records the currency, so rates before and after a change stay in their own currency
+    if (rateCardData.currency) {
+      existingRateCard.currency = rateCardData.currency;
+    }
+    
+    if (rateCardData.roundingPolicy) {
+      existingRateCard.roundingPolicy = new RoundingPolicy(rateCardData.roundingPolicy);
+    }
+    
+    if (rateCardData.pricingRules && Array.isArray(rateCardData.pricingRules)) {
+      existingRateCard.pricingRules = RateItemFactory.createPricingRules(
+        rateCardData.pricingRules,
+        { rateCardId: existingRateCard.id }
+      );
+    }
+    
+    if (revising) {
+      this.workflowService.revise(existingRateCard, this.authService.getCurrentUserId());
+    } else if (pendingApproval) {
+      existingRateCard.addReviser(this.authService.getCurrentUserId());
+    }
+    
     existingRateCard.updatedBy = this.authService.getCurrentUserId();
     existingRateCard.updatedAt = new Date();
     
@@ -155,9 +212,8 @@ class RateCardService {
     // Save updated rate card
     const updatedRateCard = await this.repository.save(existingRateCard);
     
-    // Create new version
-    const newVersion = updatedRateCard.createNewVersion();
-    await this.repository.saveVersion(newVersion);
+    // Create new version; its rates apply from versionEffectiveFrom, or the card's effectiveFrom
+    await this._createVersion(updatedRateCard, { effectiveFrom: versionEffectiveFrom, pendingApproval });
     
     return updatedRateCard;
   }
@@ -219,6 +275,11 @@ class RateCardService {
       throw new ValidationError(`Cannot delete rate card with status ${rateCard.status}`);
     }
     
+    // A card under revision has been in force, so it is archived rather than deleted
+    if (rateCard.isUnderRevision()) {
+      throw new ValidationError(`Cannot delete rate card ${id} while it is under revision`);
+    }
+    
     // Delete rate card
     await this.repository.delete(id);
   }
@@ -242,7 +303,7 @@ class RateCardService {
     }
     
     // Validate rate card can be submitted
-    if (rateCard.status !== RateCardStatus.DRAFT && rateCard.status !== RateCardStatus.REJECTED) {
+    if (!this.workflowService.canPerform(rateCard, WorkflowAction.SUBMIT)) {
       throw new ValidationError(`Cannot submit rate card with status ${rateCard.status}`);
     }
     
@@ -253,8 +314,605 @@ class RateCardService {
     }
     
     // Update status
-    rateCard.status = RateCardStatus.PENDING_APPROVAL;
+    this.workflowService.submit(rateCard, this.authService.getCurrentUserId());
+    
+    // Save updated rate card
+    await this.repository.save(rateCard);
+  }
+
+  /**
+   * Approve a rate card pending approval. With multi-level approval the card stays
+   * pending until every required level has approved, then becomes active (or approved,
+   * if its effectiveFrom is still in the future).
+   * @param {string} id - Rate card ID
+   * @param {string} comment - Optional approval comment
+   * @returns {Promise<RateCard>} The updated rate card
+   * @throws {NotFoundError} If rate card is not found
+   * @throws {AuthorizationError} If user is not authorized, or prepared the card (maker-checker)
+   * @throws {ValidationError} If rate card status is not PENDING_APPROVAL
+   */
+  async approveRateCard(id, comment = null) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'approve');
+    
+    const rateCard = await this._applyWorkflowAction(id, card => 
+      this.workflowService.approve(card, this.authService.getCurrentUserId(), comment)
+    );
+    
+    // Once fully approved, a revision's pending version takes over from the current one
+    const fullyApproved = rateCard.status === RateCardStatus.APPROVED || rateCard.status === RateCardStatus.ACTIVE;
+    if (fullyApproved && rateCard.isUnderRevision()) {
+      const pendingVersion = await this.repository.findVersionById(rateCard.pendingVersionId);
+      await this._publishVersion(rateCard, pendingVersion);
+      await this.repository.save(rateCard);
+    }
+    
+    return rateCard;
+  }
+
+  /**
+   * Reject a rate card pending approval
+   * @param {string} id - Rate card ID
+   * @param {string} reason - Why the card is rejected
+   * @returns {Promise<RateCard>} The updated rate card
+   * @throws {NotFoundError} If rate card is not found
+   * @throws {AuthorizationError} If user is not authorized, or prepared the card (maker-checker)
+   * @throws {ValidationError} If no reason is given or rate card status is not PENDING_APPROVAL
+   */
+  async rejectRateCard(id, reason) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'reject');
+    
+    return this._applyWorkflowAction(id, rateCard => 
+      this.workflowService.reject(rateCard, this.authService.getCurrentUserId(), reason)
+    );
+  }
+
+  /**
+   * Withdraw a rate card from approval, back to draft
+   * @param {string} id - Rate card ID
+   * @returns {Promise<RateCard>} The updated rate card
+   * @throws {NotFoundError} If rate card is not found
+   * @throws {AuthorizationError} If user is not authorized
+   * @throws {ValidationError} If rate card status is not PENDING_APPROVAL
+   */
+  async withdrawRateCard(id) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'withdraw');
+    
+    return this._applyWorkflowAction(id, rateCard => 
+      this.workflowService.withdraw(rateCard, this.authService.getCurrentUserId())
+    );
+  }
+
+  /**
+   * Archive a rate card
+   * @param {string} id - Rate card ID
+   * @returns {Promise<RateCard>} The updated rate card
+   * @throws {NotFoundError} If rate card is not found
+   * @throws {AuthorizationError} If user is not authorized
+   * @throws {ValidationError} If rate card is pending approval or already archived
+   */
+  async archiveRateCard(id) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'archive');
+    
+    return this._applyWorkflowAction(id, rateCard => 
+      this.workflowService.archive(rateCard, this.authService.getCurrentUserId())
+    );
+  }
+
+  /**
+   * List the versions of a rate card
+   * @param {string} rateCardId - Rate card ID
+   * @returns {Promise<RateCardVersion[]>} Versions, oldest first
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async listVersions(rateCardId) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'read');
+    
+    const versions = await this.repository.findVersions(rateCardId);
+    return versions.sort((a, b) => a.versionNumber - b.versionNumber);
+  }
+
+  /**
+   * Get a rate card version by its number
+   * @param {string} rateCardId - Rate card ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<RateCardVersion>} The version
+   * @throws {NotFoundError} If the version is not found
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async getVersion(rateCardId, versionNumber) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'read');
+    
+    const version = await this.repository.findVersionByNumber(rateCardId, versionNumber);
+    if (!version) {
+      throw new NotFoundError(`Version ${versionNumber} of rate card ${rateCardId} not found`);
+    }
+    
+    return version;
+  }
+
+  /**
+   * Restore a past version's rate items, and the card-level settings recorded with it, into
+   * a new draft version of the rate card, which goes through approval as usual. On an approved
+   * or active card the restore is a revision (see updateRateCard): the current version stays
+   * in force until the card is approved again, and the restored one takes over on versionEffectiveFrom.
+   * @param {string} rateCardId - Rate card ID
+   * @param {number} versionNumber - Number of the version to restore
+   * @param {Object} options - versionEffectiveFrom: date the restored rates apply from (required
+   *   for a revision); defaults to the card's effectiveFrom
+   * @returns {Promise<RateCard>} The rate card with the restored items
+   * @throws {NotFoundError} If the rate card or version is not found
+   * @throws {ValidationError} If the rate card cannot be edited or a restored item is invalid
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async restoreVersion(rateCardId, versionNumber, { versionEffectiveFrom } = {}) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'update');
+    
+    // Get existing rate card
+    const rateCard = await this.repository.findById(rateCardId);
+    if (!rateCard) {
+      throw new NotFoundError(`Rate card with ID ${rateCardId} not found`);
+    }
+    
+    // Restoring is an edit, so the same status rules as updateRateCard apply
+    const revising = rateCard.status === RateCardStatus.APPROVED || rateCard.status === RateCardStatus.ACTIVE;
+    if (!revising && rateCard.status !== RateCardStatus.DRAFT && rateCard.status !== RateCardStatus.REJECTED) {
+      throw new ValidationError(`Cannot restore a version of rate card with status ${rateCard.status}`);
+    }
+    
+    const version = await this.repository.findVersionByNumber(rateCardId, versionNumber);
+    if (!version) {
+      throw new NotFoundError(`Version ${versionNumber} of rate card ${rateCardId} not found`);
+    }
+    
+    const effectiveFrom = versionEffectiveFrom ? new Date(versionEffectiveFrom) : undefined;
+    if (revising || rateCard.isUnderRevision()) {
+      this._checkRevision(rateCard, {}, effectiveFrom);
+    }
+    await this._checkVersionEffectiveFrom(rateCard, effectiveFrom);
+    
+    // Rehydrate the version's items
+    rateCard.clearRateItems();
+    for (const itemData of version.restore()) {
+      const itemValidation = this.validator.validateRateItem(itemData);
+      if (!itemValidation.isValid) {
+        throw new ValidationError(itemValidation.errors);
+      }
+      
+      rateCard.addRateItem(this._createRateItemFromDTO(itemData, rateCard.id));
+    }
+    
+    // Versions saved before card-level settings were recorded leave the card's as they are
+    rateCard.currency = version.currency || rateCard.currency;
+    rateCard.multiStopMode = version.multiStopMode || rateCard.multiStopMode;
+    if (version.pricingRules) {
+      rateCard.pricingRules = RateItemFactory.createPricingRules(version.pricingRules, { rateCardId: rateCard.id });
+    }
+    if (version.roundingPolicy) {
+      rateCard.roundingPolicy = new RoundingPolicy(version.roundingPolicy);
+    }
+    
+    if (revising) {
+      this.workflowService.revise(rateCard, this.authService.getCurrentUserId());
+    } else {
+      if (rateCard.isUnderRevision()) {
+        rateCard.addReviser(this.authService.getCurrentUserId());
+      }
+      rateCard.status = RateCardStatus.DRAFT;
+    }
     rateCard.updatedBy = this.authService.getCurrentUserId();
     rateCard.updatedAt = new Date();
     
-    // Save updated rate card
\ No newline at end of file
+    // Save and record the restore as a new version
+    const savedRateCard = await this.repository.save(rateCard);
+    await this._createVersion(savedRateCard, {
+      effectiveFrom,
+      restoredFromVersionNumber: version.versionNumber,
+      pendingApproval: revising || savedRateCard.isUnderRevision()
+    });
+    
+    return savedRateCard;
+  }
+
+  /**
+   * Compare two rate card versions, e.g. before approving a change
+   * @param {string} baseVersionId - ID of the older version
+   * @param {string} targetVersionId - ID of the newer version
+   * @returns {Promise<VersionDifference>} Items added, removed and modified, with a summary
+   * @throws {NotFoundError} If either version is not found
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async compareVersions(baseVersionId, targetVersionId) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'read');
+    
+    const baseVersion = await this.repository.findVersionById(baseVersionId);
+    if (!baseVersion) {
+      throw new NotFoundError(`Rate card version with ID ${baseVersionId} not found`);
+    }
+    
+    const targetVersion = await this.repository.findVersionById(targetVersionId);
+    if (!targetVersion) {
+      throw new NotFoundError(`Rate card version with ID ${targetVersionId} not found`);
+    }
+    
+    return baseVersion.compare(targetVersion);
+  }
+
+  /**
+   * Import rate items from a CSV, Excel-friendly CSV or JSON file.
+   * With dryRun the parsed items and row-level errors are returned without saving anything;
+   * otherwise the items are saved as a new version of the rate card.
+   * @param {string} rateCardId - Rate card ID
+   * @param {string} content - The file content
+   * @param {Object} options - format (RateCardFileFormat, default CSV), replace (replace the
+   *   card's items instead of appending, default false), dryRun (default false) and
+   *   versionEffectiveFrom (date the new version applies from; required for an approved card)
+   * @returns {Promise<RateItemImportResult>} Parsed items, row errors and whether they were saved
+   * @throws {NotFoundError} If rate card is not found
+   * @throws {ValidationError} If any row is invalid (unless dryRun) or the card cannot be updated
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async importRateItems(rateCardId, content,
+    { format = RateCardFileFormat.CSV, replace = false, dryRun = false, versionEffectiveFrom } = {}) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'import');
+    
+    const rateCard = await this.repository.findById(rateCardId);
+    if (!rateCard) {
+      throw new NotFoundError(`Rate card with ID ${rateCardId} not found`);
+    }
+    
+    const { items, errors } = this.importExport.parse(content, format);
+    
+    // Check the version date up front, so a dry run reports it like any other error
+    const effectiveFrom = versionEffectiveFrom ? new Date(versionEffectiveFrom) : undefined;
+    try {
+      if (rateCard.status === RateCardStatus.APPROVED || rateCard.status === RateCardStatus.ACTIVE ||
+          rateCard.isUnderRevision()) {
+        this._checkRevision(rateCard, {}, effectiveFrom);
+      }
+      await this._checkVersionEffectiveFrom(rateCard, effectiveFrom);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      errors.push({ row: null, field: 'versionEffectiveFrom', message: error.message });
+    }
+    
+    // Run each parsed item through the same validation as items entered by hand
+    const validItems = [];
+    for (const item of items) {
+      const itemValidation = this.validator.validateRateItem(item.data);
+      if (itemValidation.isValid) {
+        validItems.push(item);
+      } else {
+        errors.push(...itemValidation.errors.map(error => ({
+          row: item.row,
+          field: error.path,
+          message: error.message
+        })));
+      }
+    }
+    
+    // Check the imported items for lane conflicts with each other and with the items they join
+    const existingItems = replace ? [] : JSON.parse(JSON.stringify(rateCard.rateItems));
+    const conflictRows = new Set();
+    const cardValidation = this.validator.validateRateCard({
+      ...rateCard,
+      rateItems: [...existingItems, ...validItems.map(item => item.data)]
+    });
+    for (const error of cardValidation.errors) {
+      const match = /^rateItems\[(\d+)\]\.?/.exec(error.path || '');
+      const item = match && validItems[Number(match[1]) - existingItems.length];
+      if (item) {
+        conflictRows.add(item.row);
+        errors.push({ row: item.row, field: error.path.slice(match[0].length) || null, message: error.message });
+      }
+    }
+    errors.sort((a, b) => (a.row || 0) - (b.row || 0));
+    
+    const result = {
+      rateCardId,
+      items: validItems.filter(item => !conflictRows.has(item.row)),
+      errors,
+      saved: false
+    };
+    if (dryRun) {
+      return result;
+    }
+    
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    
+    await this.updateRateCard(rateCardId, {
+      rateItems: [...existingItems, ...validItems.map(item => item.data)],
+      versionEffectiveFrom
+    });
+    
+    return { ...result, saved: true };
+  }
+
+  /**
+   * Export a rate card's items as CSV, Excel-friendly CSV or JSON
+   * @param {string} rateCardId - Rate card ID
+   * @param {RateCardFileFormat} format - The file format
+   * @returns {Promise<string>} The file content
+   * @throws {NotFoundError} If rate card is not found
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async exportRateCard(rateCardId, format = RateCardFileFormat.CSV) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'export');
+    
+    const rateCard = await this.repository.findById(rateCardId);
+    if (!rateCard) {
+      throw new NotFoundError(`Rate card with ID ${rateCardId} not found`);
+    }
+    
+    return this.importExport.exportRateCard(rateCard, format);
+  }
+
+  /**
+   * Rate a trip with the client's rate card and version in effect on the trip date
+   * @param {TripData} tripData - Data about the trip, including clientId and tripDate (defaults to now)
+   * @param {RatingContext} context - Shared reference data passed to the rate card
+   * @returns {Promise<TripRating>} The rate card, version and charge calculation used
+   * @throws {RatingError} If no rate card or version is in effect on the date, more than one is,
+   *   or the trip cannot be rated
+   * @throws {AuthorizationError} If user is not authorized
+   */
+  async rateTrip(tripData, context = {}) {
+    // Check authorization
+    this.authService.checkPermission('rate_card', 'rate');
+    
+    const tripDate = tripData.tripDate ? new Date(tripData.tripDate) : new Date();
+    const { rateCard, version } = await this.resolveRateCardVersion(tripData.clientId, tripDate);
+    const effectiveRateCard = this.rateCardForVersion(rateCard, version);
+    
+    return {
+      rateCard,
+      rateCardVersionId: version.id,
+      versionNumber: version.versionNumber,
+      calculation: effectiveRateCard.calculateRate({ ...tripData, tripDate }, context)
+    };
+  }
+
+  /**
+   * Find the rate card and version that were in effect for a client on a date.
+   * Only cards that have been in force (ACTIVE or EXPIRED, or under revision) are considered,
+   * and only their published versions.
+   * @param {string} clientId - Client ID
+   * @param {Date} date - The trip or shipment date
+   * @returns {Promise<{rateCard: RateCard, version: RateCardVersion}>} The card and version
+   * @throws {RatingError} If there is a gap (nothing in effect) or an overlap (more than one in effect)
+   */
+  async resolveRateCardVersion(clientId, date) {
+    const day = date.toISOString().slice(0, 10);
+    
+    const { items } = await this.repository.findAll({ clientId, effectiveOn: date });
+    const rateCards = items.filter(card => 
+      (card.status === RateCardStatus.ACTIVE ||
+        card.status === RateCardStatus.EXPIRED ||
+        (card.isUnderRevision() && card.status !== RateCardStatus.ARCHIVED)) &&
+      card.isEffectiveOn(date)
+    );
+    
+    if (rateCards.length === 0) {
+      throw new RatingError(
+        `No rate card in effect for client ${clientId} on ${day}`,
+        RatingErrorCode.NO_RATE_CARD_IN_EFFECT,
+        { clientId, date }
+      );
+    }
+    
+    if (rateCards.length > 1) {
+      throw new RatingError(
+        `Overlapping rate cards for client ${clientId} on ${day}: ${rateCards.map(card => card.id).join(', ')}`,
+        RatingErrorCode.OVERLAPPING_RATE_CARDS,
+        { clientId, date, rateCardIds: rateCards.map(card => card.id) }
+      );
+    }
+    
+    const [rateCard] = rateCards;
+    const versions = (await this.repository.findVersions(rateCard.id)).filter(version => version.isEffectiveOn(date));
+    
+    if (versions.length === 0) {
+      throw new RatingError(
+        `No version of rate card ${rateCard.id} in effect on ${day}`,
+        RatingErrorCode.NO_VERSION_IN_EFFECT,
+        { rateCardId: rateCard.id, date }
+      );
+    }
+    
+    if (versions.length > 1) {
+      throw new RatingError(
+        `Overlapping versions of rate card ${rateCard.id} on ${day}: ${versions.map(v => v.versionNumber).join(', ')}`,
+        RatingErrorCode.OVERLAPPING_VERSIONS,
+        { rateCardId: rateCard.id, date, versionNumbers: versions.map(v => v.versionNumber) }
+      );
+    }
+    
+    return { rateCard, version: versions[0] };
+  }
+
+  /**
+   * Build a copy of a rate card carrying a version's rate items and card-level settings, for
+   * rating. Settings a version predates are taken from the card.
+   * @param {RateCard} rateCard - The rate card
+   * @param {RateCardVersion} version - The version to rate with
+   * @returns {RateCard} A rate card whose rateItems, pricingRules, roundingPolicy, currency and
+   *   multiStopMode are the version's
+   */
+  rateCardForVersion(rateCard, version) {
+    const snapshot = Object.assign(Object.create(Object.getPrototypeOf(rateCard)), rateCard);
+    snapshot.currentVersionId = version.id;
+    snapshot.currency = version.currency || rateCard.currency;
+    snapshot.multiStopMode = version.multiStopMode || rateCard.multiStopMode;
+    if (version.pricingRules) {
+      snapshot.pricingRules = RateItemFactory.createPricingRules(version.pricingRules, { rateCardId: rateCard.id });
+    }
+    if (version.roundingPolicy) {
+      snapshot.roundingPolicy = new RoundingPolicy(version.roundingPolicy);
+    }
+    snapshot.rateItems = version.rateItems.map(itemData => this._createRateItemFromDTO(itemData, rateCard.id));
+    return snapshot;
+  }
+
+  /**
+   * Load a rate card, apply a workflow action to it and save it
+   * @param {string} id - Rate card ID
+   * @param {Function} applyAction - Applies the action to the loaded rate card
+   * @returns {Promise<RateCard>} The updated rate card
+   * @throws {NotFoundError} If rate card is not found
+   * @private
+   */
+  async _applyWorkflowAction(id, applyAction) {
+    const rateCard = await this.repository.findById(id);
+    if (!rateCard) {
+      throw new NotFoundError(`Rate card with ID ${id} not found`);
+    }
+    
+    applyAction(rateCard);
+    
+    return await this.repository.save(rateCard);
+  }
+
+  /**
+   * Create and save a new version of a rate card. A published version takes over at once
+   * (see _publishVersion); a pending version replaces any earlier pending one and waits
+   * for the card to be approved.
+   * @param {RateCard} rateCard - The saved rate card
+   * @param {Object} options - effectiveFrom (defaults to the card's), restoredFromVersionNumber
+   *   and pendingApproval (defaults to whether the card is under revision)
+   * @returns {Promise<RateCardVersion>} The new version
+   * @private
+   */
+  async _createVersion(rateCard, {
+    effectiveFrom,
+    restoredFromVersionNumber = null,
+    pendingApproval = rateCard.isUnderRevision()
+  } = {}) {
+    const replacedVersion = rateCard.pendingVersionId
+      ? await this.repository.findVersionById(rateCard.pendingVersionId)
+      : null;
+      
+    const version = rateCard.createNewVersion(effectiveFrom, { pendingApproval });
+    version.restoredFromVersionNumber = restoredFromVersionNumber;
+    
+    if (replacedVersion) {
+      replacedVersion.status = RateCardVersionStatus.SUPERSEDED;
+      await this.repository.saveVersion(replacedVersion);
+    }
+    
+    if (pendingApproval) {
+      await this.repository.saveVersion(version);
+    } else {
+      await this._publishVersion(rateCard, version);
+    }
+    
+    // Persist the card's new version IDs and latestVersionNumber
+    await this.repository.save(rateCard);
+    
+    return version;
+  }
+
+  /**
+   * Make a version the card's current version. Published versions it takes over from are
+   * closed the moment before it takes effect, or superseded if they start on or after that,
+   * so version date ranges never overlap. The caller saves the card.
+   * @param {RateCard} rateCard - The rate card
+   * @param {RateCardVersion} version - The new or pending version
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _publishVersion(rateCard, version) {
+    const versions = await this.repository.findVersions(rateCard.id);
+    for (const other of versions) {
+      if (other.id !== version.id &&
+          other.status === RateCardVersionStatus.PUBLISHED &&
+          other.closeBefore(version.effectiveFrom)) {
+        await this.repository.saveVersion(other);
+      }
+    }
+    
+    version.status = RateCardVersionStatus.PUBLISHED;
+    await this.repository.saveVersion(version);
+    
+    rateCard.currentVersionId = version.id;
+    if (rateCard.pendingVersionId === version.id) {
+      rateCard.pendingVersionId = null;
+      rateCard.revisedBy = [];
+    }
+  }
+
+  /**
+   * Check that a revision of an approved card is dated and leaves the card's own dates alone;
+   * those are in force until the revision is approved
+   * @param {RateCard} rateCard - The rate card
+   * @param {RateCardDTO} rateCardData - The updated rate card data
+   * @param {Date} versionEffectiveFrom - Date the revision's rates apply from
+   * @throws {ValidationError} If the revision is undated or changes the card's dates
+   * @private
+   */
+  _checkRevision(rateCard, rateCardData, versionEffectiveFrom) {
+    if (!versionEffectiveFrom) {
+      throw new ValidationError('versionEffectiveFrom is required to revise an approved rate card');
+    }
+    
+    const sameDate = (value, date) => (value ? new Date(value).getTime() : null) === (date ? date.getTime() : null);
+    const changesFrom = rateCardData.effectiveFrom && !sameDate(rateCardData.effectiveFrom, rateCard.effectiveFrom);
+    const changesTo = rateCardData.effectiveTo !== undefined && !sameDate(rateCardData.effectiveTo, rateCard.effectiveTo);
+    if (changesFrom || changesTo) {
+      throw new ValidationError('The effective dates of an approved rate card cannot be changed by a revision');
+    }
+  }
+
+  /**
+   * Check that a new version doesn't take effect before the card's current version
+   * @param {RateCard} rateCard - The rate card
+   * @param {Date} versionEffectiveFrom - Date the new version's rates apply from, if given
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the new version would start before the current one
+   * @private
+   */
+  async _checkVersionEffectiveFrom(rateCard, versionEffectiveFrom) {
+    if (!versionEffectiveFrom) {
+      return;
+    }
+    if (isNaN(versionEffectiveFrom.getTime())) {
+      throw new ValidationError('versionEffectiveFrom is not a valid date');
+    }
+    if (!rateCard.currentVersionId) {
+      return;
+    }
+    
+    const currentVersion = await this.repository.findVersionById(rateCard.currentVersionId);
+    if (currentVersion && versionEffectiveFrom < currentVersion.effectiveFrom) {
+      throw new ValidationError(
+        `versionEffectiveFrom must not be before ${currentVersion.effectiveFrom.toISOString()}, ` +
+        `when version ${currentVersion.versionNumber} took effect`
+      );
+    }
+  }
+
+  /**
+   * Create a rate item entity from DTO data
+   * @param {RateItemDTO} itemData - The rate item data
+   * @param {string} rateCardId - ID of the owning rate card
+   * @returns {RateItem} The rate item
+   * @private
+   */
+  _createRateItemFromDTO(itemData, rateCardId) {
+    return RateItemFactory.createRateItem(itemData, rateCardId);
+  }
+}
+
+module.exports = RateCardService;
\ No newline at end of file
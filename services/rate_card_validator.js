@@ -0,0 +1,845 @@
+/**
+ * Rate card validator - Checks rate cards and rate items before they are saved or submitted
+ *
+ * Every check returns a ValidationResult: {isValid, errors}, where each error is
+ * {path, code, message} and path points at the offending field, e.g. "rateItems[2].slabs[1].maxValue".
+ */
+
+// Statuses of rate cards that are, or may become, in force and so must not overlap
+const OVERLAP_STATUSES = [
+  RateCardStatus.PENDING_APPROVAL,
+  RateCardStatus.APPROVED,
+  RateCardStatus.ACTIVE,
+  RateCardStatus.EXPIRED
+];
+
+const NUMERIC_OPERATORS = [
+  ConditionOperator.GREATER_THAN,
+  ConditionOperator.LESS_THAN,
+  ConditionOperator.GREATER_THAN_EQUAL,
+  ConditionOperator.LESS_THAN_EQUAL
+];
+
+class RateCardValidator {
+  /**
+   * Constructor
+   * @param {RateCardRepository} repository - Rate card repository, used for overlap checks
+   */
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Validate a rate card: required fields, effective dates, each rate item, and lane
+   * conflicts between items (duplicate lanes and items that can never be selected)
+   * @param {RateCardDTO|RateCard} rateCardData - The rate card data or entity
+   * @returns {ValidationResult} The validation result
+   */
+  validateRateCard(rateCardData) {
+    const errors = [];
+    
+    requireField(errors, rateCardData.name, 'name');
+    requireField(errors, rateCardData.clientId, 'clientId');
+    
+    if (requireField(errors, rateCardData.effectiveFrom, 'effectiveFrom')) {
+      checkDateRange(errors, rateCardData.effectiveFrom, rateCardData.effectiveTo, '');
+    }
+    
+    if (rateCardData.versionEffectiveFrom && isNaN(new Date(rateCardData.versionEffectiveFrom).getTime())) {
+      errors.push(validationError('versionEffectiveFrom', ValidationErrorCode.INVALID_DATE,
+        `Invalid date for versionEffectiveFrom: "${rateCardData.versionEffectiveFrom}"`));
+    }
+    
+    if (rateCardData.currency !== undefined && !/^[A-Z]{3}$/.test(rateCardData.currency)) {
+      errors.push(validationError('currency', ValidationErrorCode.INVALID_VALUE,
+        `currency must be a three-letter ISO code, got "${rateCardData.currency}"`));
+    }
+    
+    if (rateCardData.multiStopMode !== undefined && rateCardData.multiStopMode !== null) {
+      checkEnum(errors, rateCardData.multiStopMode, MultiStopMode, 'multiStopMode');
+    }
+    
+    this._checkPricingRules(errors, rateCardData.pricingRules || [], 'pricingRules');
+    if (rateCardData.roundingPolicy) {
+      this._checkRoundingPolicy(errors, rateCardData.roundingPolicy, 'roundingPolicy');
+    }
+    
+    const rateItems = rateCardData.rateItems || [];
+    if (!Array.isArray(rateItems)) {
+      errors.push(validationError('rateItems', ValidationErrorCode.INVALID_VALUE, 'rateItems must be an array'));
+      return result(errors);
+    }
+    
+    // Lane conflicts are only meaningful between items that are valid on their own
+    const validItems = [];
+    rateItems.forEach((itemData, index) => {
+      const itemResult = this.validateRateItem(itemData, `rateItems[${index}]`);
+      errors.push(...itemResult.errors);
+      if (itemResult.isValid) {
+        validItems.push({ index, item: RateItemFactory.createRateItem(itemData, rateCardData.id) });
+      }
+    });
+    
+    errors.push(...this.checkLaneConflicts(validItems));
+    
+    return result(errors);
+  }
+
+  /**
+   * Validate a single rate item
+   * @param {RateItemDTO|RateItem} itemData - The rate item data or entity
+   * @param {string} path - Path of the item within the rate card, prefixed to error paths
+   * @returns {ValidationResult} The validation result
+   */
+  validateRateItem(itemData, path = '') {
+    const errors = [];
+    const at = field => joinPath(path, field);
+    
+    if (!itemData || typeof itemData !== 'object') {
+      errors.push(validationError(path, ValidationErrorCode.INVALID_VALUE, 'Rate item must be an object'));
+      return result(errors);
+    }
+    
+    requireField(errors, itemData.origin, at('origin'));
+    requireField(errors, itemData.destination, at('destination'));
+    requireField(errors, itemData.vehicleType, at('vehicleType'));
+    
+    for (const field of ['origin', 'destination']) {
+      const range = itemData[field] ? parsePincodeRange(itemData[field]) : null;
+      if (range && range.from > range.to) {
+        errors.push(validationError(at(field), ValidationErrorCode.INVALID_RANGE,
+          `${field} pincode range must not end before it starts, got "${itemData[field]}"`));
+      }
+    }
+    
+    if (requireField(errors, itemData.rateType, at('rateType'))) {
+      checkEnum(errors, itemData.rateType, RateType, at('rateType'));
+    }
+    
+    // Slab and zone rates price from their tables, so only the other rate types need a base rate
+    const usesBaseRate = itemData.rateType !== RateType.SLAB_BASED && itemData.rateType !== RateType.ZONE_BASED;
+    checkAmount(errors, itemData.baseRate, at('baseRate'), { required: usesBaseRate });
+    checkAmount(errors, itemData.minCharge, at('minCharge'));
+    
+    if (itemData.priority !== undefined && !Number.isInteger(Number(itemData.priority))) {
+      errors.push(validationError(at('priority'), ValidationErrorCode.INVALID_NUMBER,
+        `priority must be a whole number, got "${itemData.priority}"`));
+    }
+    
+    if (itemData.slabMode !== undefined) {
+      checkEnum(errors, itemData.slabMode, SlabMode, at('slabMode'));
+    }
+    
+    // Completeness: rate types that price from a table need the table
+    const slabs = itemData.slabs || [];
+    if (itemData.rateType === RateType.SLAB_BASED && slabs.length === 0) {
+      errors.push(validationError(at('slabs'), ValidationErrorCode.INCOMPLETE_RATE, 'Slab-based rates need at least one slab'));
+    }
+    this._checkSlabs(errors, slabs, at('slabs'), itemData.slabMode);
+    
+    const zoneRates = itemData.zoneRates || [];
+    if (itemData.rateType === RateType.ZONE_BASED && zoneRates.length === 0) {
+      errors.push(validationError(at('zoneRates'), ValidationErrorCode.INCOMPLETE_RATE, 'Zone-based rates need at least one zone rate'));
+    }
+    zoneRates.forEach((zoneRate, index) => {
+      const zonePath = at(`zoneRates[${index}]`);
+      requireField(errors, zoneRate.originZone, joinPath(zonePath, 'originZone'));
+      requireField(errors, zoneRate.destinationZone, joinPath(zonePath, 'destinationZone'));
+      checkAmount(errors, zoneRate.rate, joinPath(zonePath, 'rate'), { required: true });
+    });
+    
+    this._checkConditions(errors, itemData.conditions || [], at('conditions'));
+    
+    (itemData.additionalCharges || []).forEach((charge, index) => {
+      const chargePath = at(`additionalCharges[${index}]`);
+      requireField(errors, charge.name, joinPath(chargePath, 'name'));
+      if (requireField(errors, charge.type, joinPath(chargePath, 'type'))) {
+        checkEnum(errors, charge.type, ChargeType, joinPath(chargePath, 'type'));
+      }
+      const tiers = charge.tiers || [];
+      checkAmount(errors, charge.value, joinPath(chargePath, 'value'), {
+        required: tiers.length === 0,
+        percentage: charge.isPercentage
+      });
+      if (charge.quantityParameter) {
+        this._checkQuantityCharge(errors, charge, chargePath);
+      }
+      this._checkConditions(errors, charge.conditions || [], joinPath(chargePath, 'conditions'));
+    });
+    
+    this._checkPricingRules(errors, itemData.pricingRules || [], at('pricingRules'));
+    
+    const fuel = itemData.fuelAdjustment;
+    if (fuel && fuel.enabled) {
+      this._checkFuelAdjustment(errors, fuel, at('fuelAdjustment'));
+    }
+    
+    const weightRule = itemData.chargeableWeightRule;
+    if (weightRule) {
+      this._checkChargeableWeightRule(errors, weightRule, at('chargeableWeightRule'));
+    }
+    
+    return result(errors);
+  }
+
+  /**
+   * Validate a list of conditions and condition groups, e.g. those of an imported rate item
+   * @param {Array<RateConditionDTO|ConditionGroupDTO>} conditions - The conditions
+   * @param {string} path - Path of the conditions, prefixed to error paths
+   * @returns {ValidationResult} The validation result
+   */
+  validateConditions(conditions, path = 'conditions') {
+    const errors = [];
+    this._checkConditions(errors, conditions, path);
+    return result(errors);
+  }
+
+  /**
+   * Find rate items that conflict with each other on the same lane:
+   * DUPLICATE_LANE when two items match the same trips with the same priority and
+   * conditions (the selection would be ambiguous), and SHADOWED_LANE when an item can
+   * never be selected because an unconditional item matching all of its trips
+   * (e.g. a wildcard lane) always ranks ahead of it.
+   * Trips are matched and ranked without regard to service code, so items are compared
+   * across service codes. They are bucketed by lane, so each item is only compared with the
+   * items on its own lane, the bidirectional items on its reverse lane, and the items whose
+   * lanes are patterns (wildcards, location groups, pincode ranges, vehicle classes).
+   * @param {Array<{index: number, item: RateItem}>} rateItems - Valid rate items with their positions on the card
+   * @returns {FieldError[]} The conflicts found, one per pre-empted item
+   */
+  checkLaneConflicts(rateItems) {
+    const errors = [];
+    const context = { locationHierarchy: new LocationHierarchy() };
+    const entries = rateItems.map(({ index, item }) => ({
+      index,
+      item,
+      specificity: item.specificity(context),
+      conditionsKey: conditionsKey(item.conditions)
+    }));
+    const { lanes, patterns } = bucketByLane(entries);
+    
+    for (const entry of entries) {
+      const { index, item } = entry;
+      const reverseLane = (lanes.get(laneKey(item.destination, item.origin, item.vehicleType)) || [])
+        .filter(candidate => candidate.item.bidirectional);
+      const candidates = [...new Set([
+        ...(lanes.get(laneKey(item.origin, item.destination, item.vehicleType)) || []),
+        ...reverseLane,
+        ...patterns
+      ])].sort((a, b) => a.index - b.index);
+      
+      for (const candidate of candidates) {
+        const { index: otherIndex, item: other } = candidate;
+        if (otherIndex === index) {
+          continue;
+        }
+        
+        // The other item must match every trip this item matches
+        if (!coversLane(other, item, context)) {
+          continue;
+        }
+        
+        const sameLane = candidate.specificity === entry.specificity;
+        const sameConditions = candidate.conditionsKey === entry.conditionsKey;
+        
+        if (sameLane && sameConditions && other.priority === item.priority) {
+          // Report a duplicate pair once, against the later item
+          if (otherIndex < index) {
+            errors.push(validationError(`rateItems[${index}]`, ValidationErrorCode.DUPLICATE_LANE,
+              `Rate item duplicates rateItems[${otherIndex}] on lane ${laneLabel(item)}`));
+            break;
+          }
+          continue;
+        }
+        
+        if (other.conditions.length === 0 && ranksAhead(candidate, entry)) {
+          errors.push(validationError(`rateItems[${index}]`, ValidationErrorCode.SHADOWED_LANE,
+            `Rate item on lane ${laneLabel(item)} can never be selected: rateItems[${otherIndex}] ` +
+            `(${laneLabel(other)}) always ranks ahead of it`));
+          break;
+        }
+      }
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Check that a rate card's effective dates don't overlap another card of the same client
+   * that is, or may become, in force
+   * @param {RateCardDTO} rateCardData - The rate card data; id excludes the card itself
+   * @returns {Promise<ValidationResult>} The validation result
+   */
+  async checkForOverlaps(rateCardData) {
+    const errors = [];
+    
+    if (!rateCardData.clientId || !rateCardData.effectiveFrom) {
+      return result(errors); // Reported by validateRateCard
+    }
+    
+    const effectiveFrom = new Date(rateCardData.effectiveFrom);
+    const effectiveTo = rateCardData.effectiveTo ? new Date(rateCardData.effectiveTo) : null;
+    
+    const { items } = await this.repository.findAll({ clientId: rateCardData.clientId });
+    for (const other of items) {
+      // A card under revision keeps its current version in force whatever its status
+      if (other.id === rateCardData.id || !(OVERLAP_STATUSES.includes(other.status) || other.isUnderRevision())) {
+        continue;
+      }
+      
+      const startsBeforeOtherEnds = !other.effectiveTo || effectiveFrom <= other.effectiveTo;
+      const endsAfterOtherStarts = !effectiveTo || effectiveTo >= other.effectiveFrom;
+      if (startsBeforeOtherEnds && endsAfterOtherStarts) {
+        errors.push(validationError('effectiveFrom', ValidationErrorCode.OVERLAPPING_RATE_CARD,
+          `Effective dates overlap rate card "${other.name}" (${other.id}, ${other.status}) ` +
+          `effective ${formatDate(other.effectiveFrom)} to ${other.effectiveTo ? formatDate(other.effectiveTo) : 'open'}`));
+      }
+    }
+    
+    return result(errors);
+  }
+
+  /**
+   * Check slab ranges: non-negative bounds, max above min, no overlap between slabs, and
+   * no gap between incremental slabs
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {RateSlabDTO[]} slabs - The slabs
+   * @param {string} path - Path of the slabs
+   * @param {SlabMode} slabMode - How the slabs price a quantity (optional)
+   * @private
+   */
+  _checkSlabs(errors, slabs, path, slabMode) {
+    slabs.forEach((slab, index) => {
+      const slabPath = `${path}[${index}]`;
+      checkAmount(errors, slab.minValue === undefined ? 0 : slab.minValue, joinPath(slabPath, 'minValue'));
+      checkAmount(errors, slab.rate, joinPath(slabPath, 'rate'), { required: true });
+      
+      if (slab.maxValue !== null && slab.maxValue !== undefined) {
+        if (checkAmount(errors, slab.maxValue, joinPath(slabPath, 'maxValue')) &&
+            parseFloat(slab.maxValue) <= parseFloat(slab.minValue || 0)) {
+          errors.push(validationError(joinPath(slabPath, 'maxValue'), ValidationErrorCode.INVALID_RANGE,
+            `maxValue (${slab.maxValue}) must be greater than minValue (${slab.minValue || 0})`));
+        }
+      }
+    });
+    
+    // Adjacent slabs may share a boundary (0-100, 100-500); anything more is an overlap
+    const ordered = slabs
+      .map((slab, index) => ({ index, min: parseFloat(slab.minValue || 0), max: slab.maxValue === null || slab.maxValue === undefined ? Infinity : parseFloat(slab.maxValue) }))
+      .sort((a, b) => a.min - b.min);
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].min < ordered[i - 1].max) {
+        errors.push(validationError(`${path}[${ordered[i].index}]`, ValidationErrorCode.OVERLAPPING_SLABS,
+          `Slab overlaps ${path}[${ordered[i - 1].index}]`));
+      } else if (slabMode === SlabMode.INCREMENTAL && ordered[i].min > ordered[i - 1].max) {
+        // Incremental slabs each price their own part of the quantity, so a gap would go unpriced
+        errors.push(validationError(`${path}[${ordered[i].index}]`, ValidationErrorCode.SLAB_GAP,
+          `Slab leaves a gap after ${path}[${ordered[i - 1].index}]`));
+      }
+    }
+  }
+
+  /**
+   * Check a chargeable weight rule: a positive density or divisor (not both), non-negative
+   * increments and known units
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {ChargeableWeightRuleDTO} rule - The rule
+   * @param {string} path - Path of the rule
+   * @private
+   */
+  _checkChargeableWeightRule(errors, rule, path) {
+    const hasValue = value => value !== null && value !== undefined && value !== '';
+    
+    if (hasValue(rule.density) && hasValue(rule.divisor)) {
+      errors.push(validationError(joinPath(path, 'divisor'), ValidationErrorCode.INVALID_VALUE,
+        'Give either a density or a divisor, not both'));
+    }
+    for (const field of ['density', 'divisor']) {
+      if (hasValue(rule[field]) && checkAmount(errors, rule[field], joinPath(path, field)) && parseFloat(rule[field]) === 0) {
+        errors.push(validationError(joinPath(path, field), ValidationErrorCode.INVALID_NUMBER,
+          `${field} must be greater than zero`));
+      }
+    }
+    
+    checkAmount(errors, rule.weightIncrement, joinPath(path, 'weightIncrement'));
+    checkAmount(errors, rule.volumeIncrement, joinPath(path, 'volumeIncrement'));
+    if (hasValue(rule.weightUnit)) {
+      checkEnum(errors, rule.weightUnit, WeightUnit, joinPath(path, 'weightUnit'));
+    }
+    if (hasValue(rule.volumeUnit)) {
+      checkEnum(errors, rule.volumeUnit, VolumeUnit, joinPath(path, 'volumeUnit'));
+    }
+  }
+
+  /**
+   * Check an enabled fuel adjustment: a known method and basis; a current price, or a region
+   * to look it up in the referenced price index; base price and factor for LINEAR; at least
+   * one band, without overlaps, for BAND; and a floor no higher than the cap
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {FuelAdjustmentDTO} fuel - The fuel adjustment
+   * @param {string} path - Path of the fuel adjustment
+   * @private
+   */
+  _checkFuelAdjustment(errors, fuel, path) {
+    const method = fuel.method || FuelAdjustmentMethod.LINEAR;
+    checkEnum(errors, method, FuelAdjustmentMethod, joinPath(path, 'method'));
+    if (fuel.basis !== undefined && fuel.basis !== null) {
+      checkEnum(errors, fuel.basis, FuelAdjustmentBasis, joinPath(path, 'basis'));
+    }
+    
+    if (fuel.priceIndex) {
+      requireField(errors, fuel.region, joinPath(path, 'region'));
+    } else {
+      checkAmount(errors, fuel.currentPrice, joinPath(path, 'currentPrice'), { required: true });
+    }
+    
+    if (method === FuelAdjustmentMethod.LINEAR) {
+      checkAmount(errors, fuel.basePrice, joinPath(path, 'basePrice'), { required: true });
+      checkAmount(errors, fuel.adjustmentFactor, joinPath(path, 'adjustmentFactor'), { required: true });
+    }
+    
+    if (method === FuelAdjustmentMethod.BAND) {
+      const bands = fuel.bands || [];
+      if (bands.length === 0) {
+        errors.push(validationError(joinPath(path, 'bands'), ValidationErrorCode.REQUIRED,
+          'A band-based fuel adjustment needs at least one band'));
+      }
+      
+      bands.forEach((band, index) => {
+        const bandPath = joinPath(path, `bands[${index}]`);
+        checkAmount(errors, band.minPrice === undefined ? 0 : band.minPrice, joinPath(bandPath, 'minPrice'));
+        if (!isNumeric(band.surchargePercent)) {
+          errors.push(validationError(joinPath(bandPath, 'surchargePercent'), ValidationErrorCode.INVALID_NUMBER,
+            `surchargePercent must be a number, got "${band.surchargePercent}"`));
+        }
+        if (band.maxPrice !== null && band.maxPrice !== undefined &&
+            checkAmount(errors, band.maxPrice, joinPath(bandPath, 'maxPrice')) &&
+            parseFloat(band.maxPrice) <= parseFloat(band.minPrice || 0)) {
+          errors.push(validationError(joinPath(bandPath, 'maxPrice'), ValidationErrorCode.INVALID_RANGE,
+            `maxPrice (${band.maxPrice}) must be greater than minPrice (${band.minPrice || 0})`));
+        }
+      });
+      
+      // Adjacent bands may share a boundary; anything more is an overlap
+      const ordered = bands
+        .map((band, index) => ({ index, min: parseFloat(band.minPrice || 0), max: band.maxPrice === null || band.maxPrice === undefined ? Infinity : parseFloat(band.maxPrice) }))
+        .sort((a, b) => a.min - b.min);
+      for (let i = 1; i < ordered.length; i++) {
+        if (ordered[i].min < ordered[i - 1].max) {
+          errors.push(validationError(joinPath(path, `bands[${ordered[i].index}]`), ValidationErrorCode.INVALID_RANGE,
+            `Band overlaps ${joinPath(path, `bands[${ordered[i - 1].index}]`)}`));
+        }
+      }
+    }
+    
+    for (const field of ['floorPercent', 'capPercent']) {
+      if (fuel[field] !== null && fuel[field] !== undefined && !isNumeric(fuel[field])) {
+        errors.push(validationError(joinPath(path, field), ValidationErrorCode.INVALID_NUMBER,
+          `${field} must be a number, got "${fuel[field]}"`));
+      }
+    }
+    if (isNumeric(fuel.floorPercent) && isNumeric(fuel.capPercent) &&
+        parseFloat(fuel.floorPercent) > parseFloat(fuel.capPercent)) {
+      errors.push(validationError(joinPath(path, 'capPercent'), ValidationErrorCode.INVALID_RANGE,
+        `capPercent (${fuel.capPercent}) must not be less than floorPercent (${fuel.floorPercent})`));
+    }
+  }
+
+  /**
+   * Check the pricing of a quantity-based additional charge: a unit rate rather than a
+   * percentage, a non-negative free allowance, valid tiers and a minimum no higher than the maximum
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {AdditionalChargeDTO} charge - The charge
+   * @param {string} path - Path of the charge
+   * @private
+   */
+  _checkQuantityCharge(errors, charge, path) {
+    if (charge.isPercentage) {
+      errors.push(validationError(joinPath(path, 'isPercentage'), ValidationErrorCode.INVALID_VALUE,
+        'A charge priced per unit of quantity cannot be a percentage'));
+    }
+    
+    checkAmount(errors, charge.freeQuantity, joinPath(path, 'freeQuantity'));
+    this._checkSlabs(errors, charge.tiers || [], joinPath(path, 'tiers'));
+    
+    if (checkAmount(errors, charge.minAmount, joinPath(path, 'minAmount')) &&
+        checkAmount(errors, charge.maxAmount, joinPath(path, 'maxAmount')) &&
+        isNumeric(charge.minAmount) && isNumeric(charge.maxAmount) &&
+        parseFloat(charge.minAmount) > parseFloat(charge.maxAmount)) {
+      errors.push(validationError(joinPath(path, 'maxAmount'), ValidationErrorCode.INVALID_RANGE,
+        `maxAmount (${charge.maxAmount}) must not be less than minAmount (${charge.minAmount})`));
+    }
+  }
+
+  /**
+   * Check discount and surcharge rules, of a rate item or of the whole card
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {PricingRuleDTO[]} rules - The rules
+   * @param {string} path - Path of the rules
+   * @private
+   */
+  _checkPricingRules(errors, rules, path) {
+    rules.forEach((rule, index) => {
+      const rulePath = `${path}[${index}]`;
+      requireField(errors, rule.name, joinPath(rulePath, 'name'));
+      if (requireField(errors, rule.ruleType, joinPath(rulePath, 'ruleType'))) {
+        checkEnum(errors, rule.ruleType, PricingRuleType, joinPath(rulePath, 'ruleType'));
+      }
+      checkAmount(errors, rule.value, joinPath(rulePath, 'value'), { required: true, percentage: rule.isPercentage });
+      this._checkConditions(errors, rule.conditions || [], joinPath(rulePath, 'conditions'));
+    });
+  }
+
+  /**
+   * Check a rounding policy: known mode and strategy, and a whole, non-negative scale
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {RoundingPolicyDTO} policy - The policy
+   * @param {string} path - Path of the policy
+   * @private
+   */
+  _checkRoundingPolicy(errors, policy, path) {
+    if (policy.mode !== undefined) {
+      checkEnum(errors, policy.mode, RoundingMode, joinPath(path, 'mode'));
+    }
+    if (policy.strategy !== undefined) {
+      checkEnum(errors, policy.strategy, RoundingStrategy, joinPath(path, 'strategy'));
+    }
+    if (policy.scale !== undefined && !(Number.isInteger(Number(policy.scale)) && Number(policy.scale) >= 0)) {
+      errors.push(validationError(joinPath(path, 'scale'), ValidationErrorCode.INVALID_NUMBER,
+        `scale must be a whole number of decimal places, got "${policy.scale}"`));
+    }
+  }
+
+  /**
+   * Check conditions: parameter present, known operator, and a value the operator can use.
+   * Condition groups need a known logic and at least one condition, checked recursively.
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {Array<RateConditionDTO|ConditionGroupDTO>} conditions - The conditions
+   * @param {string} path - Path of the conditions
+   * @private
+   */
+  _checkConditions(errors, conditions, path) {
+    conditions.forEach((condition, index) => {
+      const conditionPath = `${path}[${index}]`;
+      
+      if (condition.logic !== undefined) {
+        checkEnum(errors, condition.logic, ConditionLogic, joinPath(conditionPath, 'logic'));
+        if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+          errors.push(validationError(joinPath(conditionPath, 'conditions'), ValidationErrorCode.REQUIRED,
+            'A condition group needs at least one condition'));
+        } else {
+          this._checkConditions(errors, condition.conditions, joinPath(conditionPath, 'conditions'));
+        }
+        return;
+      }
+      
+      if (condition.valueType !== undefined && condition.valueType !== null) {
+        checkEnum(errors, condition.valueType, ConditionValueType, joinPath(conditionPath, 'valueType'));
+      }
+      
+      requireField(errors, condition.parameter, joinPath(conditionPath, 'parameter'));
+      requireField(errors, condition.value, joinPath(conditionPath, 'value'));
+      
+      if (!requireField(errors, condition.operator, joinPath(conditionPath, 'operator')) ||
+          !checkEnum(errors, condition.operator, ConditionOperator, joinPath(conditionPath, 'operator')) ||
+          condition.value === undefined || condition.value === null) {
+        return;
+      }
+      
+      if (NUMERIC_OPERATORS.includes(condition.operator) && !isNumeric(condition.value)) {
+        errors.push(validationError(joinPath(conditionPath, 'value'), ValidationErrorCode.INVALID_NUMBER,
+          `${condition.operator} needs a numeric value, got "${condition.value}"`));
+      }
+      
+      if (condition.operator === ConditionOperator.BETWEEN) {
+        const bounds = Array.isArray(condition.value)
+          ? condition.value.map(String)
+          : String(condition.value).split(',').map(value => value.trim());
+        if (bounds.length !== 2 || !bounds.every(isNumeric) || parseFloat(bounds[0]) > parseFloat(bounds[1])) {
+          errors.push(validationError(joinPath(conditionPath, 'value'), ValidationErrorCode.INVALID_RANGE,
+            `BETWEEN needs "min,max" with min <= max, got "${condition.value}"`));
+        }
+      }
+      
+      this._checkTemporalValue(errors, condition, joinPath(conditionPath, 'value'));
+    });
+  }
+
+  /**
+   * Check the value of a temporal condition: two "HH:MM" times for TIME_BETWEEN, day names
+   * for DAY_OF_WEEK_IN, two "YYYY-MM-DD" dates in order for DATE_BETWEEN
+   * @param {FieldError[]} errors - Errors, appended to
+   * @param {RateConditionDTO} condition - The condition
+   * @param {string} path - Path of the condition's value
+   * @private
+   */
+  _checkTemporalValue(errors, condition, path) {
+    const parts = Array.isArray(condition.value)
+      ? condition.value.map(String)
+      : String(condition.value).split(',').map(value => value.trim());
+      
+    switch (condition.operator) {
+      case ConditionOperator.TIME_BETWEEN:
+        if (parts.length !== 2 || parts.some(part => parseTimeOfDay(part) === null) || parts[0] === parts[1]) {
+          errors.push(validationError(path, ValidationErrorCode.INVALID_RANGE,
+            `TIME_BETWEEN needs two different times "HH:MM,HH:MM", got "${condition.value}"`));
+        }
+        break;
+        
+      case ConditionOperator.DAY_OF_WEEK_IN:
+        for (const part of parts.filter(part => parseDayOfWeek(part) === null)) {
+          errors.push(validationError(path, ValidationErrorCode.INVALID_VALUE,
+            `"${part}" is not a day of the week; use ${DAYS_OF_WEEK.join(', ')}`));
+        }
+        break;
+        
+      case ConditionOperator.DATE_BETWEEN:
+        if (parts.length !== 2 || !parts.every(isLocalDate) || parts[0] > parts[1]) {
+          errors.push(validationError(path, ValidationErrorCode.INVALID_RANGE,
+            `DATE_BETWEEN needs "YYYY-MM-DD,YYYY-MM-DD" with the first date not after the second, got "${condition.value}"`));
+        }
+        break;
+    }
+  }
+}
+
+/**
+ * Build a validation error
+ * @param {string} path - Path of the offending field
+ * @param {ValidationErrorCode} code - Error code
+ * @param {string} message - Human-readable message
+ * @returns {FieldError} The error
+ */
+function validationError(path, code, message) {
+  return { path, code, message };
+}
+
+/**
+ * Build a validation result
+ * @param {FieldError[]} errors - Errors found
+ * @returns {ValidationResult} The result
+ */
+function result(errors) {
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Join a field onto a path
+ * @param {string} path - Parent path, possibly empty
+ * @param {string} field - Field name
+ * @returns {string} The joined path
+ */
+function joinPath(path, field) {
+  return path ? `${path}.${field}` : field;
+}
+
+/**
+ * Record an error if a required field is missing
+ * @param {FieldError[]} errors - Errors, appended to
+ * @param {*} value - Field value
+ * @param {string} path - Field path
+ * @returns {boolean} True if the value is present
+ */
+function requireField(errors, value, path) {
+  if (value === undefined || value === null || value === '') {
+    errors.push(validationError(path, ValidationErrorCode.REQUIRED, `${path} is required`));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record an error if a value is not one of an enum's values
+ * @param {FieldError[]} errors - Errors, appended to
+ * @param {string} value - Field value
+ * @param {Object} enumType - The enum
+ * @param {string} path - Field path
+ * @returns {boolean} True if the value is valid
+ */
+function checkEnum(errors, value, enumType, path) {
+  if (!Object.values(enumType).includes(value)) {
+    errors.push(validationError(path, ValidationErrorCode.INVALID_VALUE,
+      `Invalid value "${value}" for ${path}; expected one of ${Object.values(enumType).join(', ')}`));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record an error if an amount is not a non-negative number (at most 100 for percentages)
+ * @param {FieldError[]} errors - Errors, appended to
+ * @param {*} value - Field value
+ * @param {string} path - Field path
+ * @param {Object} options - required, percentage
+ * @returns {boolean} True if the value is absent (and optional) or valid
+ */
+function checkAmount(errors, value, path, { required = false, percentage = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return required ? requireField(errors, value, path) : true;
+  }
+
+  if (!isNumeric(value)) {
+    errors.push(validationError(path, ValidationErrorCode.INVALID_NUMBER, `${path} must be a number, got "${value}"`));
+    return false;
+  }
+
+  if (parseFloat(value) < 0) {
+    errors.push(validationError(path, ValidationErrorCode.INVALID_NUMBER, `${path} must not be negative`));
+    return false;
+  }
+
+  if (percentage && parseFloat(value) > 100) {
+    errors.push(validationError(path, ValidationErrorCode.INVALID_NUMBER, `${path} must not exceed 100%`));
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Record an error if effective dates are invalid or out of order
+ * @param {FieldError[]} errors - Errors, appended to
+ * @param {Date|string} effectiveFrom - Start date
+ * @param {Date|string} effectiveTo - End date, or null if open-ended
+ * @param {string} path - Parent path
+ */
+function checkDateRange(errors, effectiveFrom, effectiveTo, path) {
+  const from = new Date(effectiveFrom);
+  if (isNaN(from.getTime())) {
+    errors.push(validationError(joinPath(path, 'effectiveFrom'), ValidationErrorCode.INVALID_DATE,
+      `Invalid date for effectiveFrom: "${effectiveFrom}"`));
+    return;
+  }
+
+  if (effectiveTo) {
+    const to = new Date(effectiveTo);
+    if (isNaN(to.getTime())) {
+      errors.push(validationError(joinPath(path, 'effectiveTo'), ValidationErrorCode.INVALID_DATE,
+        `Invalid date for effectiveTo: "${effectiveTo}"`));
+    } else if (to < from) {
+      errors.push(validationError(joinPath(path, 'effectiveTo'), ValidationErrorCode.INVALID_RANGE,
+        'effectiveTo must not be before effectiveFrom'));
+    }
+  }
+}
+
+/**
+ * Check if a value is a finite number or numeric string
+ * @param {*} value - The value
+ * @returns {boolean} True if numeric
+ */
+function isNumeric(value) {
+  return value !== '' && value !== null && typeof value !== 'boolean' && Number.isFinite(Number(value));
+}
+
+/**
+ * Check if one rate item ranks ahead of another, in the order RateCard.rankRateItems uses
+ * @param {Object} entry - The first item, with its index and specificity
+ * @param {Object} other - The second item, with its index and specificity
+ * @returns {boolean} True if the first item is always preferred
+ */
+function ranksAhead(entry, other) {
+  return (entry.specificity - other.specificity ||
+    entry.item.priority - other.item.priority ||
+    other.index - entry.index) > 0;
+}
+
+/**
+ * Group rate items by lane. Items whose lane has a pattern in it may cover any lane,
+ * so they are kept apart rather than bucketed.
+ * @param {Object[]} entries - The items, with their indexes
+ * @returns {{lanes: Map<string, Object[]>, patterns: Object[]}} The buckets
+ */
+function bucketByLane(entries) {
+  const lanes = new Map();
+  const patterns = [];
+  for (const entry of entries) {
+    const { item } = entry;
+    if (isLanePattern(item.origin) || isLanePattern(item.destination) ||
+        isWildcard(item.vehicleType) || groupName(item.vehicleType)) {
+      patterns.push(entry);
+      continue;
+    }
+    
+    const key = laneKey(item.origin, item.destination, item.vehicleType);
+    if (!lanes.has(key)) {
+      lanes.set(key, []);
+    }
+    lanes.get(key).push(entry);
+  }
+  return { lanes, patterns };
+}
+
+/**
+ * Check if an origin or destination is a pattern rather than a single location
+ * @param {string} location - The origin or destination
+ * @returns {boolean} True for "*", location groups and pincode ranges
+ */
+function isLanePattern(location) {
+  return isWildcard(location) || Boolean(groupName(location)) || Boolean(parsePincodeRange(location));
+}
+
+/**
+ * Bucket key for a lane. Locations are compared the way the location hierarchy compares
+ * them (trimmed, case-insensitive); vehicle types are compared exactly.
+ * @param {string} origin - The origin
+ * @param {string} destination - The destination
+ * @param {string} vehicleType - The vehicle type
+ * @returns {string} The key
+ */
+function laneKey(origin, destination, vehicleType) {
+  const location = value => String(value).trim().toUpperCase();
+  return JSON.stringify([location(origin), location(destination), vehicleType]);
+}
+
+/**
+ * Check if one rate item's lane covers another's. Location groups and vehicle classes
+ * are reference data the validator doesn't have, so a lane that needs them to decide
+ * is taken not to cover the other.
+ * @param {RateItem} item - The covering item
+ * @param {RateItem} other - The item whose lane is checked
+ * @param {RatingContext} context - The locationHierarchy to match with, shared across one validation
+ * @returns {boolean} True if the item matches every trip on the other item's lane
+ */
+function coversLane(item, other, context) {
+  try {
+    return item.matchesCriteria(other.origin, other.destination, other.vehicleType, context);
+  } catch (error) {
+    if (error instanceof RatingError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Comparable key for a set of conditions
+ * @param {RateCondition[]} conditions - The conditions
+ * @returns {string} The key
+ */
+function conditionsKey(conditions) {
+  return conditions
+    .map(condition => condition.describe())
+    .sort()
+    .join(';');
+}
+
+/**
+ * Describe a rate item's lane
+ * @param {RateItem} item - The rate item
+ * @returns {string} The lane, e.g. "Mumbai → Delhi (32FT)"
+ */
+function laneLabel(item) {
+  return `${item.origin} → ${item.destination} (${item.vehicleType})`;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - The date
+ * @returns {string} The formatted date
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+module.exports = RateCardValidator;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Factory for building rate item entities (with their conditions, charges, slabs,
+ * zone rates, pricing rules, fuel adjustment and chargeable weight rule) from plain
+ * item data, such as API DTOs, stored versions and imported rows
+ */
+class RateItemFactory {
+  /**
+   * Create a rate item from item data
+   * @param {RateItemDTO} itemData - Plain rate item data
+   * @param {string} rateCardId - ID of the rate card the item belongs to
+   * @returns {RateItem} The rate item
+   */
+  static createRateItem(itemData, rateCardId) {
+    const itemId = itemData.id || generateUUID();
+    
+    return new RateItem({
+      id: itemId,
+      rateCardId,
+      serviceCode: itemData.serviceCode,
+      origin: itemData.origin,
+      destination: itemData.destination,
+      vehicleType: itemData.vehicleType,
+      rateType: itemData.rateType,
+      baseRate: itemData.baseRate || 0,
+      minCharge: itemData.minCharge || 0,
+      priority: itemData.priority || 0,
+      additionalCharges: (itemData.additionalCharges || []).map(chargeData => new AdditionalCharge({
+        ...chargeData,
+        rateItemId: itemId,
+        conditions: RateItemFactory.createConditions(chargeData.conditions, itemId),
+        tiers: (chargeData.tiers || []).map(tierData => new RateSlab({ ...tierData, rateItemId: itemId }))
+      })),
+      conditions: RateItemFactory.createConditions(itemData.conditions, itemId),
+      fuelAdjustment: new FuelAdjustment(itemData.fuelAdjustment || {}),
+      slabs: (itemData.slabs || []).map(slabData => new RateSlab({ ...slabData, rateItemId: itemId })),
+      slabParameter: itemData.slabParameter || 'weight',
+      slabMode: itemData.slabMode || SlabMode.WHOLE,
+      zoneRates: (itemData.zoneRates || []).map(rateData => new ZoneRate({ ...rateData, rateItemId: itemId })),
+      pricingRules: RateItemFactory.createPricingRules(itemData.pricingRules, { rateItemId: itemId }),
+      chargeableWeightRule: new ChargeableWeightRule(itemData.chargeableWeightRule || {}),
+      bidirectional: Boolean(itemData.bidirectional)
+    });
+  }
+
+  /**
+   * Create conditions from condition data. Entries with a logic field become condition
+   * groups, with their own conditions created recursively.
+   * @param {Array<RateConditionDTO|ConditionGroupDTO>} conditionsData - Plain condition data
+   * @param {string} rateItemId - ID of the owning rate item
+   * @returns {Array<RateCondition|ConditionGroup>} The conditions
+   */
+  static createConditions(conditionsData = [], rateItemId = null) {
+    return (conditionsData || []).map(conditionData => (conditionData.logic
+      ? new ConditionGroup({
+        ...conditionData,
+        rateItemId,
+        conditions: RateItemFactory.createConditions(conditionData.conditions, rateItemId)
+      })
+      : new RateCondition({ ...conditionData, rateItemId })));
+  }
+
+  /**
+   * Create discount and surcharge rules from rule data
+   * @param {PricingRuleDTO[]} rulesData - Plain rule data
+   * @param {Object} owner - rateItemId or rateCardId of the owner
+   * @returns {PricingRule[]} The pricing rules
+   */
+  static createPricingRules(rulesData = [], owner = {}) {
+    return (rulesData || []).map(ruleData => new PricingRule({
+      ...ruleData,
+      ...owner,
+      conditions: RateItemFactory.createConditions(ruleData.conditions)
+    }));
+  }
+}
+
+module.exports = RateItemFactory;
\ No newline at end of file
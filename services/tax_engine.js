@@ -0,0 +1,73 @@
+/**
+ * Tax engine - Applies configured tax rules on top of charge calculations
+ */
+class TaxEngine {
+  /**
+   * Constructor
+   * @param {TaxRule[]} taxRules - Tax rules, checked in order
+   */
+  constructor(taxRules = []) {
+    this.taxRules = taxRules;
+  }
+
+  /**
+   * Find the tax rule for a trip
+   * @param {TripData} tripData - Data about the trip
+   * @returns {TaxRule} The first rule that applies
+   * @throws {RatingError} If no rule applies
+   */
+  findRule(tripData) {
+    const rule = this.taxRules.find(taxRule => taxRule.appliesTo(tripData));
+    if (!rule) {
+      throw new RatingError(
+        `No tax rule applies to trip: ${tripData.id}`,
+        RatingErrorCode.TAX_RULE_NOT_FOUND,
+        { tripId: tripData.id }
+      );
+    }
+    return rule;
+  }
+
+  /**
+   * Calculate tax on a charge calculation and attach it to the calculation
+   * @param {ChargeCalculation} chargeCalculation - The pre-tax calculation
+   * @param {TripData} tripData - Data about the trip
+   * @returns {TaxCalculation} The tax calculation
+   * @throws {RatingError} If no tax rule applies
+   */
+  applyTax(chargeCalculation, tripData) {
+    const rule = this.findRule(tripData);
+    const roundingPolicy = chargeCalculation.roundingPolicy;
+    
+    // Additional charges of exempt types are excluded from the taxable value
+    let exemptValue = Money.zero();
+    for (const [name, amount] of chargeCalculation.additionalCharges.entries()) {
+      if (!rule.isTaxable(chargeCalculation.additionalChargeTypes.get(name))) {
+        exemptValue = exemptValue.add(roundingPolicy.round(amount));
+      }
+    }
+    
+    if (rule.isExempt(tripData)) {
+      exemptValue = chargeCalculation.totalCharge;
+    }
+    
+    const taxableValue = chargeCalculation.totalCharge.subtract(exemptValue);
+    
+    const taxCalculation = new TaxCalculation({
+      ruleName: rule.name,
+      taxableValue,
+      exemptValue,
+      components: rule.components.map(component => ({
+        name: component.name,
+        rate: component.rate,
+        amount: roundingPolicy.round(taxableValue.percentage(component.rate))
+      })),
+      reverseCharge: rule.reverseCharge
+    });
+    
+    chargeCalculation.applyTax(taxCalculation);
+    return taxCalculation;
+  }
+}
+
+module.exports = TaxEngine;
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Rate card status transitions: for each workflow action, the statuses it may be taken
+ * from and the status it leads to. APPROVE only reaches its target once every required
+ * approval level has signed off, and leads straight to ACTIVE if the card is already effective.
+ * REVISE reopens an approved or active card for changes, which need approving again.
+ */
+const RATE_CARD_TRANSITIONS = Object.freeze({
+  [WorkflowAction.SUBMIT]: { from: [RateCardStatus.DRAFT, RateCardStatus.REJECTED], to: RateCardStatus.PENDING_APPROVAL },
+  [WorkflowAction.APPROVE]: { from: [RateCardStatus.PENDING_APPROVAL], to: RateCardStatus.APPROVED },
+  [WorkflowAction.REJECT]: { from: [RateCardStatus.PENDING_APPROVAL], to: RateCardStatus.REJECTED },
+  [WorkflowAction.WITHDRAW]: { from: [RateCardStatus.PENDING_APPROVAL], to: RateCardStatus.DRAFT },
+  [WorkflowAction.ACTIVATE]: { from: [RateCardStatus.APPROVED], to: RateCardStatus.ACTIVE },
+  [WorkflowAction.EXPIRE]: { from: [RateCardStatus.ACTIVE], to: RateCardStatus.EXPIRED },
+  [WorkflowAction.ARCHIVE]: {
+    from: [
+      RateCardStatus.DRAFT,
+      RateCardStatus.REJECTED,
+      RateCardStatus.APPROVED,
+      RateCardStatus.ACTIVE,
+      RateCardStatus.EXPIRED
+    ],
+    to: RateCardStatus.ARCHIVED
+  },
+  [WorkflowAction.REVISE]: { from: [RateCardStatus.APPROVED, RateCardStatus.ACTIVE], to: RateCardStatus.DRAFT }
+});
+
+// One approval, with the plain 'approve' permission, unless configured otherwise
+const DEFAULT_APPROVAL_LEVELS = [{ name: 'Approver', minValue: 0, permission: 'approve' }];
+
+/**
+ * Workflow service - The rate card approval state machine. Applies workflow actions to
+ * rate cards, enforcing allowed transitions, multi-level approval and maker-checker
+ * separation, and records every transition in the card's statusHistory.
+ * Loading and saving cards is left to the caller (see RateCardService).
+ */
+class WorkflowService {
+  /**
+   * Constructor
+   * @param {AuthService} authService - Authentication service, for per-level approval permissions
+   * @param {Object} options - approvalLevels: ordered levels ({name, minValue, permission}); a level
+   *   is required when the card's value is at least its minValue. cardValue: function giving a card's
+   *   value (defaults to its highest base rate or minimum charge). clock: function returning the
+   *   current time (defaults to the system clock).
+   */
+  constructor(authService, {
+    approvalLevels = DEFAULT_APPROVAL_LEVELS,
+    cardValue = highestRate,
+    clock = () => new Date()
+  } = {}) {
+    this.authService = authService;
+    this.approvalLevels = approvalLevels;
+    this.cardValue = cardValue;
+    this.clock = clock;
+  }
+
+  /**
+   * Check if an action can be taken on a rate card in its current status
+   * @param {RateCard} rateCard - The rate card
+   * @param {WorkflowAction} action - The action
+   * @returns {boolean} True if allowed
+   */
+  canPerform(rateCard, action) {
+    const transition = RATE_CARD_TRANSITIONS[action];
+    return Boolean(transition) && transition.from.includes(rateCard.status);
+  }
+
+  /**
+   * Get the approval levels a rate card needs, in order. Every card needs at least the
+   * first level, even when its value is below that level's minValue.
+   * @param {RateCard} rateCard - The rate card
+   * @returns {Object[]} The required levels
+   */
+  requiredApprovalLevels(rateCard) {
+    const value = this.cardValue(rateCard);
+    const levels = this.approvalLevels.filter(level => value >= (level.minValue || 0));
+    return levels.length > 0 ? levels : this.approvalLevels.slice(0, 1);
+  }
+
+  /**
+   * Submit a rate card for approval. Any approvals from an earlier round are cleared.
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User submitting the card
+   * @throws {ValidationError} If the card can't be submitted in its current status
+   */
+  submit(rateCard, userId) {
+    this._transition(rateCard, WorkflowAction.SUBMIT, userId);
+    rateCard.submittedBy = userId;
+    rateCard.approvals = [];
+  }
+
+  /**
+   * Record an approval at the next required level. Once the last required level approves,
+   * the card becomes ACTIVE if it is already effective, or APPROVED until its effectiveFrom
+   * (see RateCardScheduler).
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User approving the card
+   * @param {string} comment - Optional approval comment
+   * @returns {Object} The level that was approved
+   * @throws {ValidationError} If the card is not pending approval, or has no approval level left
+   * @throws {AuthorizationError} If the user created, revised or submitted the card, already
+   *   approved it, or lacks the level's permission
+   */
+  approve(rateCard, userId, comment = null) {
+    this._assertAllowed(rateCard, WorkflowAction.APPROVE);
+    
+    // Maker-checker: whoever prepared the card can't approve it
+    if (isMaker(rateCard, userId)) {
+      throw new AuthorizationError('A rate card cannot be approved by the user who created, revised or submitted it');
+    }
+    
+    if (rateCard.approvals.some(approval => approval.userId === userId)) {
+      throw new AuthorizationError('Each approval level must be signed off by a different user');
+    }
+    
+    const requiredLevels = this.requiredApprovalLevels(rateCard);
+    const level = requiredLevels[rateCard.approvals.length];
+    if (!level) {
+      throw new ValidationError(`No approval level is left for rate card ${rateCard.id}`);
+    }
+    this.authService.checkPermission('rate_card', level.permission || 'approve');
+    
+    rateCard.approvals.push({ level: level.name, userId, approvedAt: this.clock(), comment });
+    
+    const fullyApproved = rateCard.approvals.length >= requiredLevels.length;
+    this._transition(rateCard, WorkflowAction.APPROVE, userId, {
+      toStatus: fullyApproved ? RATE_CARD_TRANSITIONS[WorkflowAction.APPROVE].to : rateCard.status,
+      comment: `${level.name} approval${comment ? `: ${comment}` : ''}`
+    });
+    
+    if (fullyApproved && rateCard.effectiveFrom <= this.clock()) {
+      this.activate(rateCard, userId);
+    }
+    
+    return level;
+  }
+
+  /**
+   * Reject a rate card, sending it back to its maker
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User rejecting the card
+   * @param {string} reason - Why the card is rejected
+   * @throws {ValidationError} If no reason is given or the card is not pending approval
+   * @throws {AuthorizationError} If the user created, revised or submitted the card
+   */
+  reject(rateCard, userId, reason) {
+    if (!reason || !String(reason).trim()) {
+      throw new ValidationError('A reason is required to reject a rate card');
+    }
+    
+    this._assertAllowed(rateCard, WorkflowAction.REJECT);
+    if (isMaker(rateCard, userId)) {
+      throw new AuthorizationError('A rate card cannot be rejected by the user who created, revised or submitted it');
+    }
+    
+    this._transition(rateCard, WorkflowAction.REJECT, userId, { comment: reason });
+    rateCard.rejectionReason = reason;
+  }
+
+  /**
+   * Withdraw a rate card from approval, back to draft
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User withdrawing the card
+   * @throws {ValidationError} If the card is not pending approval
+   */
+  withdraw(rateCard, userId) {
+    this._transition(rateCard, WorkflowAction.WITHDRAW, userId);
+    rateCard.approvals = [];
+  }
+
+  /**
+   * Reopen an approved or active rate card for changes, recording the user as a maker of the
+   * revision. Its published versions stay in force until the revised card is approved
+   * (see RateCardService.updateRateCard).
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User revising the card
+   * @throws {ValidationError} If the card is not approved or active
+   */
+  revise(rateCard, userId) {
+    this._transition(rateCard, WorkflowAction.REVISE, userId);
+    rateCard.approvals = [];
+    rateCard.revisedBy = [];
+    rateCard.addReviser(userId);
+  }
+
+  /**
+   * Make an approved rate card active, once it has become effective
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User (or system process) activating the card
+   * @throws {ValidationError} If the card is not approved
+   */
+  activate(rateCard, userId) {
+    this._transition(rateCard, WorkflowAction.ACTIVATE, userId);
+  }
+
+  /**
+   * Mark an active rate card as expired
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User (or system process) expiring the card
+   * @throws {ValidationError} If the card is not active
+   */
+  expire(rateCard, userId) {
+    this._transition(rateCard, WorkflowAction.EXPIRE, userId);
+  }
+
+  /**
+   * Archive a rate card that is no longer needed
+   * @param {RateCard} rateCard - The rate card
+   * @param {string} userId - User archiving the card
+   * @throws {ValidationError} If the card is pending approval or already archived
+   */
+  archive(rateCard, userId) {
+    this._transition(rateCard, WorkflowAction.ARCHIVE, userId);
+  }
+
+  /**
+   * Throw if an action isn't allowed from the card's current status
+   * @param {RateCard} rateCard - The rate card
+   * @param {WorkflowAction} action - The action
+   * @throws {ValidationError} If not allowed
+   * @private
+   */
+  _assertAllowed(rateCard, action) {
+    if (!this.canPerform(rateCard, action)) {
+      throw new ValidationError(`Cannot ${action.toLowerCase()} rate card with status ${rateCard.status}`);
+    }
+  }
+
+  /**
+   * Apply an action's status change and record it in the card's history
+   * @param {RateCard} rateCard - The rate card
+   * @param {WorkflowAction} action - The action
+   * @param {string} userId - User taking the action
+   * @param {Object} options - toStatus (defaults to the action's target status), comment
+   * @throws {ValidationError} If the action isn't allowed from the card's current status
+   * @private
+   */
+  _transition(rateCard, action, userId, { toStatus = RATE_CARD_TRANSITIONS[action].to, comment = null } = {}) {
+    this._assertAllowed(rateCard, action);
+    
+    const changedAt = this.clock();
+    rateCard.statusHistory.push({
+      action,
+      fromStatus: rateCard.status,
+      toStatus,
+      userId,
+      changedAt,
+      comment
+    });
+    
+    rateCard.status = toStatus;
+    rateCard.updatedBy = userId;
+    rateCard.updatedAt = changedAt;
+  }
+}
+
+/**
+ * Default value of a rate card for approval thresholds: its highest base rate or minimum charge
+ * @param {RateCard} rateCard - The rate card
+ * @returns {number} The value
+ */
+function highestRate(rateCard) {
+  return rateCard.rateItems.reduce(
+    (highest, item) => Math.max(highest, item.baseRate || 0, item.minCharge || 0),
+    0
+  );
+}
+
+/**
+ * Check if a user prepared a rate card, and so can't also approve or reject it
+ * @param {RateCard} rateCard - The rate card
+ * @param {string} userId - The user
+ * @returns {boolean} True if the user created, revised or submitted the card
+ */
+function isMaker(rateCard, userId) {
+  return userId === rateCard.createdBy ||
+    userId === rateCard.submittedBy ||
+    rateCard.revisedBy.includes(userId);
+}
+
+module.exports = WorkflowService;
\ No newline at end of file
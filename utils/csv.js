@@ -0,0 +1,109 @@
+/**
+ * CSV helpers shared by document rendering and rate card import/export
+ */
+
+/**
+ * Format a single CSV field, quoting it when needed
+ * @param {*} value - The field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} The formatted field
+ */
+function formatCsvField(value, delimiter = ',') {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<*>>} rows - Row values, in header order
+ * @param {Object} options - delimiter (default ",") and lineEnding (default "\n")
+ * @returns {string} The CSV text
+ */
+function toCsv(headers, rows, { delimiter = ',', lineEnding = '\n' } = {}) {
+  return [headers, ...rows]
+    .map(row => row.map(value => formatCsvField(value, delimiter)).join(delimiter))
+    .join(lineEnding) + lineEnding;
+}
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields (with embedded delimiters,
+ * quotes and line breaks), CRLF or LF line endings and a leading UTF-8 byte order mark.
+ * @param {string} text - The CSV text
+ * @param {Object} options - delimiter (default ",")
+ * @returns {string[][]} The rows, with trailing blank lines removed
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+    
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field in CSV row ${rows.length + 1}`);
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop trailing blank lines
+  while (rows.length > 0 && rows[rows.length - 1].every(value => value === '')) {
+    rows.pop();
+  }
+
+  return rows;
+}
+
+module.exports = {
+  formatCsvField,
+  toCsv,
+  parseCsv
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Date and time helpers for reading timestamps in a location's local time
+ */
+
+const DAYS_OF_WEEK = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Formatters are costly to build, so keep one per time zone
+const formatters = new Map();
+
+/**
+ * Get the local calendar date, time of day and weekday of a timestamp in a time zone
+ * @param {Date|string|number} value - The timestamp
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Kolkata" (default "UTC")
+ * @returns {LocalDateTime|null} {date: "YYYY-MM-DD", minutes: minutes since local midnight,
+ *   dayOfWeek: "MON".."SUN"}, or null if the value is not a valid timestamp
+ * @throws {RangeError} If the time zone is not known
+ */
+function localDateTime(value, timeZone = 'UTC') {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10),
+    dayOfWeek: parts.weekday.toUpperCase()
+  };
+}
+
+/**
+ * Parse a time of day
+ * @param {string} text - Time as "HH:MM" (24-hour)
+ * @returns {number|null} Minutes since midnight, or null if the time is malformed
+ */
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Parse a day of the week
+ * @param {string} text - Day name or its first three letters, e.g. "Sunday", "SUN"
+ * @returns {string|null} The day as "MON".."SUN", or null if not a day name
+ */
+function parseDayOfWeek(text) {
+  const day = String(text).trim().slice(0, 3).toUpperCase();
+  return DAYS_OF_WEEK.includes(day) ? day : null;
+}
+
+/**
+ * Check that a value is a calendar date written as "YYYY-MM-DD"
+ * @param {string} text - The value
+ * @returns {boolean} True if it is a real date in that form
+ */
+function isLocalDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(text).trim())) {
+    return false;
+  }
+  const date = new Date(`${String(text).trim()}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === String(text).trim();
+}
+
+/**
+ * Get the cached formatter for a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} The formatter
+ * @throws {RangeError} If the time zone is not known
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+module.exports = {
+  DAYS_OF_WEEK,
+  localDateTime,
+  parseTimeOfDay,
+  parseDayOfWeek,
+  isLocalDate
+};
\ No newline at end of file
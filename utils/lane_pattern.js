@@ -0,0 +1,44 @@
+/**
+ * Helpers for reading rate item lane patterns. Besides a plain value, an origin or
+ * destination may be "*" (any location), a pincode range ("400001-400099") or a named
+ * location group ("@WEST"); a vehicle type may be "*" or a vehicle class ("@32FT_CONTAINER").
+ */
+
+const WILDCARD = '*';
+const GROUP_PREFIX = '@';
+const PINCODE_RANGE_PATTERN = /^\s*(\d+)\s*-\s*(\d+)\s*$/;
+
+/**
+ * Check if a lane pattern matches anything
+ * @param {string} pattern - The pattern
+ * @returns {boolean} True for "*"
+ */
+function isWildcard(pattern) {
+  return pattern === WILDCARD;
+}
+
+/**
+ * Get the group a lane pattern refers to
+ * @param {string} pattern - The pattern
+ * @returns {string|null} The group name in upper case, e.g. "WEST" for "@west", or null if the pattern is not a group
+ */
+function groupName(pattern) {
+  const value = String(pattern).trim();
+  return value.startsWith(GROUP_PREFIX) && value.length > 1 ? value.slice(1).toUpperCase() : null;
+}
+
+/**
+ * Parse a pincode range pattern
+ * @param {string} pattern - The pattern, e.g. "400001-400099"
+ * @returns {{from: number, to: number}|null} The range, or null if the pattern is not a pincode range
+ */
+function parsePincodeRange(pattern) {
+  const match = String(pattern).match(PINCODE_RANGE_PATTERN);
+  return match ? { from: parseInt(match[1], 10), to: parseInt(match[2], 10) } : null;
+}
+
+module.exports = {
+  isWildcard,
+  groupName,
+  parsePincodeRange
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Helpers for reading nested values out of trip data
+ */
+
+/**
+ * Read a value from trip data by a dotted path, e.g. "cargo.hazardClass", "stops.length"
+ * or "stops[0].city"
+ * @param {Object} data - Trip data
+ * @param {string} path - The path
+ * @returns {*} The value, or undefined if any part of the path is missing
+ */
+function resolvePath(data, path) {
+  return String(path)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+module.exports = {
+  resolvePath
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * TextPdfWriter - Writes plain text lines to a paginated PDF using a built-in
+ * monospaced font, so documents can be produced without any external tools.
+ */
+class TextPdfWriter {
+  constructor({
+    fontSize = 9,
+    lineHeight = 12,
+    margin = 40,
+    pageWidth = 595,
+    pageHeight = 842
+  } = {}) {
+    this.fontSize = fontSize;
+    this.lineHeight = lineHeight;
+    this.margin = margin;
+    this.pageWidth = pageWidth;
+    this.pageHeight = pageHeight;
+  }
+
+  /**
+   * Number of text lines that fit on one page
+   * @returns {number} Lines per page
+   */
+  linesPerPage() {
+    return Math.floor((this.pageHeight - 2 * this.margin) / this.lineHeight);
+  }
+
+  /**
+   * Write text to a PDF document (A4 by default)
+   * @param {string} text - The text; form feeds (\f) force a new page
+   * @param {Object} metadata - Document metadata (title)
+   * @returns {Buffer} The PDF file contents
+   */
+  write(text, { title = '' } = {}) {
+    const pages = [];
+    for (const block of text.split('\f')) {
+      const lines = block.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n');
+      for (let i = 0; i < lines.length; i += this.linesPerPage()) {
+        pages.push(lines.slice(i, i + this.linesPerPage()));
+      }
+    }
+    
+    // Object numbers: 1 catalog, 2 page tree, 3 font, 4 info, then a page and its content per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+    
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = `<< /Title (${escapePdfText(title)}) /Producer (salem-invoice-system) >>`;
+    
+    pages.forEach((lines, index) => {
+      const pageId = pageIds[index];
+      const top = this.pageHeight - this.margin - this.fontSize;
+      const stream = [
+        'BT',
+        `/F1 ${this.fontSize} Tf`,
+        `${this.lineHeight} TL`,
+        `${this.margin} ${top} Td`,
+        ...lines.map(line => `(${escapePdfText(line)}) '`),
+        'ET'
+      ].join('\n');
+      
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+    
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+/**
+ * Escape text for a PDF string literal; characters outside Latin-1 become "?"
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+module.exports = TextPdfWriter;
\ No newline at end of file